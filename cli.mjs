@@ -0,0 +1,232 @@
+import { readFile, writeFile } from 'node:fs/promises'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import core from './lib/core.js'
+import { notify } from './lib/notify.mjs'
+import { logEvent } from './lib/logger.mjs'
+import { accuracyReport, formatReport, loadAttempts } from './lib/captcha-report.mjs'
+import { createStatusServer, publishStatus } from './lib/status.mjs'
+
+const { DEFAULT_WINDOW_DAYS, renewalStatus } = core
+
+const USAGE = `Usage: node cli.mjs <command> [options]
+
+Commands:
+  status              列出所有免费VPS的到期日和剩余天数
+  remind              在续期窗口内或到期日异常时发送通知
+  renew               续期在续期窗口内的免费VPS
+  check               只读地打开各个页面，检查选择器和文字锚点是否还存在，缺失时发送通知
+  captcha-report [path...]
+                      统计验证码识别准确率，path 为验证码数据目录或油猴脚本导出的 JSON（默认 captcha-attempts）
+  serve               提供 /status.json、/calendar.ics 和 /health（读取 STATUS_DIR，默认 status）
+
+Options:
+  --accounts <file>   账号 JSON 文件（默认 ACCOUNTS_FILE / ACCOUNTS / EMAIL + PASSWORD）
+  --headful           显示浏览器窗口
+  --recording <file>  录屏文件（默认 recording.webm）
+  --no-recording      不录屏
+  --format <format>   输出格式 text 或 json（默认 text）
+  --proxy <url>       代理服务器（默认 PROXY_SERVER）
+  --dry-run           renew 走到验证码页面为止，不提交（或 DRY_RUN=1）
+  --by <period>       captcha-report 的统计周期 day、week 或 month（默认 week）
+  --port <port>       serve 监听的端口（默认 PORT 或 8080）
+  -h, --help          显示帮助`
+
+const OPTIONS = {
+    accounts: { type: 'string' },
+    headful: { type: 'boolean', default: false },
+    recording: { type: 'string', default: 'recording.webm' },
+    'no-recording': { type: 'boolean', default: false },
+    format: { type: 'string', default: 'text' },
+    proxy: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    by: { type: 'string', default: 'week' },
+    port: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false },
+}
+
+// --accounts / ACCOUNTS_FILE / ACCOUNTS: [{ "email": "...", "password": "..." }]，未设置时使用 EMAIL / PASSWORD
+async function loadAccounts(path = process.env.ACCOUNTS_FILE) {
+    const json = path ? await readFile(path, 'utf8') : process.env.ACCOUNTS
+    const accounts = json ? JSON.parse(json) : [{ email: process.env.EMAIL, password: process.env.PASSWORD }]
+    return accounts.filter(account => account.email && account.password)
+}
+
+// 登录每个账号并读取免费VPS的到期状态，onServer 可以对每台VPS追加处理，notifyLogin 时通知登录失败
+async function checkAccounts(page, accounts, { onServer = async () => {}, notifyLogin = false } = {}) {
+    const { signIn, listFreeServers } = await import('./lib/browser.mjs')
+    const windowDays = Number(process.env.RENEW_WINDOW_DAYS || DEFAULT_WINDOW_DAYS)
+    const summary = { status: 'success', accounts: [] }
+    for (const account of accounts) {
+        const accountResult = { email: account.email, status: 'failure', error: null, code: null, servers: [] }
+        summary.accounts.push(accountResult)
+        try {
+            await signIn(page, account)
+            for (const server of await listFreeServers(page)) {
+                const { state, expiry, daysLeft, warning } = renewalStatus(server.expiryText, { windowDays })
+                const result = { id: server.id, expiryText: server.expiryText, expiry, daysLeft, state, warning }
+                await logEvent({ step: 'check expiry', outcome: state, vpsId: server.id, expiry, daysLeft })
+                await onServer(account, result)
+                accountResult.servers.push(result)
+            }
+            accountResult.status = 'success'
+        } catch (e) {
+            console.error(e)
+            accountResult.error = String(e?.message ?? e)
+            accountResult.code = e?.code ?? null
+            if (notifyLogin && accountResult.code?.startsWith('LOGIN_')) {
+                await notify({ type: 'login-failed', email: account.email, code: accountResult.code, error: accountResult.error })
+            }
+        }
+    }
+    if (summary.accounts.some(account => account.status !== 'success')) summary.status = 'failure'
+    return summary
+}
+
+// 如果在续期窗口内，则提醒续期；已过期或无法解析时发出警告
+async function remindServer(account, result) {
+    result.notified = null
+    if (result.state === 'due') {
+        result.notified = 'expiring'
+        await notify({ type: 'expiring', email: account.email, vpsId: result.id, expiry: result.expiry })
+    } else if (result.warning) {
+        console.warn(result.warning)
+        result.notified = 'warning'
+        await notify({ type: 'warning', email: account.email, vpsId: result.id, expiry: result.expiry, warning: result.warning })
+    }
+}
+
+const commands = {
+    status: (page, accounts) => checkAccounts(page, accounts),
+    remind: (page, accounts) => checkAccounts(page, accounts, { onServer: remindServer, notifyLogin: true }),
+    async renew(page, accounts, { dryRun }) {
+        // 识别验证码等配置只在续期时加载
+        const { renewAccounts } = await import('./lib/renew.mjs')
+        return renewAccounts(page, accounts, { dryRun })
+    },
+    // 面板页面对所有账号相同，只用第一个账号检查
+    async check(page, [account]) {
+        const { brokenAnchors, checkPages } = await import('./lib/check.mjs')
+        const summary = await checkPages(page, account)
+        const [{ code, error }] = summary.accounts
+        if (code?.startsWith('LOGIN_')) {
+            await notify({ type: 'login-failed', email: account.email, code, error })
+        } else {
+            const anchors = brokenAnchors(summary.anchors)
+            if (anchors.length || summary.error) await notify({ type: 'page-changed', version: summary.version, anchors, error: summary.error })
+        }
+        return summary
+    },
+}
+
+// 不需要浏览器和账号的子命令
+const offlineCommands = {
+    async 'captcha-report'(paths, { by, format }) {
+        const attempts = await loadAttempts(paths.length ? paths : [process.env.CAPTCHA_LOG_DIR || 'captcha-attempts'])
+        const rows = accuracyReport(attempts, { by })
+        console.log(format === 'json' ? JSON.stringify(rows, null, 2) : formatReport(rows))
+    },
+    async serve(paths, { port = process.env.PORT || 8080 }) {
+        const server = createStatusServer()
+        await new Promise(resolve => server.listen(Number(port), resolve))
+        console.error(`Serving /status.json, /calendar.ics and /health on http://localhost:${server.address().port}`)
+    },
+}
+
+function formatServer(command, server) {
+    if (command !== 'renew') {
+        const days = server.daysLeft === null ? '?' : server.daysLeft
+        return `${server.id}: ${server.expiry ?? server.expiryText} (${days} days left) ${server.state}${server.notified ? `, notified ${server.notified}` : ''}`
+    }
+    if (server.status === 'dry-run') return `${server.id}: ${server.message}`
+    return `${server.id}: ${server.status} ${server.oldExpiry} -> ${server.newExpiry ?? '?'}${server.error ? ` [${server.stage}] ${server.error}` : ''}`
+}
+
+function formatAnchor(anchor) {
+    const state = anchor.ok === null ? 'skipped' : !anchor.ok ? (anchor.optional ? 'absent' : 'MISSING') : anchor.fallback ? 'FALLBACK' : 'ok'
+    const detail = anchor.ok === null ? anchor.skipped : anchor.error ?? anchor.selector
+    return `${state.padEnd(8)} ${anchor.page}/${anchor.name}: ${detail}`
+}
+
+function printText(command, summary) {
+    if (summary.error) console.log(`error: ${summary.error}`)
+    if (summary.version) console.log(`selectors version: ${summary.version}`)
+    for (const account of summary.accounts) {
+        console.log(`${account.email}: ${account.status}${account.error ? ` (${account.error})` : ''}`)
+        for (const server of account.servers) console.log(`  ${formatServer(command, server)}`)
+    }
+    for (const anchor of summary.anchors ?? []) console.log(`  ${formatAnchor(anchor)}`)
+}
+
+/**
+ * 解析命令行并执行子命令，结果输出到 stdout，日志输出到 stderr；失败时设置 exitCode
+ */
+export async function run(argv = process.argv.slice(2)) {
+    let values, command, paths
+    try {
+        const args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+        values = args.values
+        ;[command, ...paths] = args.positionals
+    } catch (e) {
+        console.error(`${e.message}\n\n${USAGE}`)
+        process.exitCode = 2
+        return
+    }
+    if (values.help) {
+        console.log(USAGE)
+        return
+    }
+    if (!(Object.hasOwn(commands, command) || Object.hasOwn(offlineCommands, command)) || !['text', 'json'].includes(values.format)) {
+        console.error(USAGE)
+        process.exitCode = 2
+        return
+    }
+    if (Object.hasOwn(offlineCommands, command)) {
+        await offlineCommands[command](paths, values).catch(e => {
+            console.error(e.message)
+            process.exitCode = 1
+        })
+        return
+    }
+
+    const dryRun = values['dry-run'] || ['1', 'true'].includes(process.env.DRY_RUN)
+
+    // 读取账号、启动浏览器和子命令本身失败时同样记录结果、更新状态并通知
+    let summary
+    let close = null
+    try {
+        const accounts = await loadAccounts(values.accounts)
+        if (!accounts.length) throw new Error('No accounts configured: set EMAIL/PASSWORD, ACCOUNTS or ACCOUNTS_FILE, or pass --accounts')
+        // 浏览器相关的模块（puppeteer）只在需要浏览器的子命令中加载，离线子命令不需要安装 puppeteer
+        const { launch } = await import('./lib/browser.mjs')
+        const browser = await launch({
+            recording: values['no-recording'] ? null : values.recording,
+            headless: !values.headful,
+            proxy: values.proxy,
+        })
+        close = browser.close
+        summary = await commands[command](browser.page, accounts, { dryRun })
+    } catch (e) {
+        console.error(e)
+        summary = { status: 'failure', error: String(e?.message ?? e), accounts: [] }
+        if (command !== 'status' && !dryRun) await notify({ type: 'run-failed', command, error: summary.error })
+    } finally {
+        await close?.()
+    }
+
+    if (command === 'renew') {
+        await writeFile(process.env.RESULT_PATH || 'result.json', JSON.stringify(summary, null, 2) + '\n').catch(e => {
+            console.error('failed to write the result:', e.message)
+            process.exitCode = 1
+        })
+    }
+    // status.json 和 calendar.ics 供日历和监控工具使用
+    await publishStatus(dryRun && command === 'renew' ? 'renew --dry-run' : command, summary)
+        .catch(e => console.warn('failed to publish the status:', e.message))
+
+    if (values.format === 'json') console.log(JSON.stringify(summary, null, 2))
+    else printText(command, summary)
+    if (summary.status !== 'success') process.exitCode = 1
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) await run()
@@ -0,0 +1,188 @@
+import puppeteer, { Locator } from 'puppeteer'
+import { setTimeout } from 'node:timers/promises'
+import core from './core.js'
+import { logEvent, step } from './logger.mjs'
+import { loadCookies, saveCookies } from './session.mjs'
+import { fetchLoginCode } from './mail-code.mjs'
+
+const { URLS, ANCHORS, SELECTORS, LOGIN_CODES, classifyLogin, parseExpiry, serverIdFromHref } = core
+
+/**
+ * 启动浏览器：处理代理、去掉 UA 中的 Headless 并开始录屏；recording 为 null 时不录屏
+ */
+export async function launch({ recording = 'recording.webm', headless = true, proxy = process.env.PROXY_SERVER } = {}) {
+    const args = ['--no-sandbox', '--disable-setuid-sandbox']
+    if (proxy) {
+        const proxy_url = new URL(proxy)
+        proxy_url.username = ''
+        proxy_url.password = ''
+        args.push(`--proxy-server=${proxy_url}`.replace(/\/$/, ''))
+    }
+
+    const browser = await puppeteer.launch({
+        defaultViewport: { width: 1080, height: 1024 },
+        headless,
+        args,
+    })
+    const [page] = await browser.pages()
+    const userAgent = await browser.userAgent()
+    await page.setUserAgent(userAgent.replace('Headless', ''))
+    const recorder = recording ? await page.screencast({ path: recording }) : null
+
+    if (proxy) {
+        const { username, password } = new URL(proxy)
+        if (username && password) {
+            await page.authenticate({ username, password })
+        }
+    }
+
+    return {
+        browser,
+        page,
+        async close() {
+            await setTimeout(5000)
+            await recorder?.stop()
+            await browser.close()
+        },
+    }
+}
+
+/**
+ * 按 ANCHORS 中的候选定位锚点，使用最先出现的候选
+ */
+export function locate(page, name) {
+    const { candidates } = ANCHORS[name]
+    return candidates.length > 1 ? Locator.race(candidates.map(selector => page.locator(selector))) : page.locator(candidates[0])
+}
+
+/**
+ * 在 root（页面或元素）中按候选顺序查找锚点，返回 { element, selector, index }，都不存在时返回 null
+ */
+export async function findAnchor(root, name) {
+    for (const [index, selector] of ANCHORS[name].candidates.entries()) {
+        const element = await root.$(selector).catch(() => null)
+        if (element) return { element, selector, index }
+    }
+    return null
+}
+
+/**
+ * 清除浏览器中的所有 Cookie
+ */
+export async function clearCookies(page) {
+    const client = await page.createCDPSession()
+    await client.send('Network.clearBrowserCookies')
+    await client.detach()
+}
+
+function loginError({ code, message }) {
+    return Object.assign(new Error(`${code}: ${message}`), { code, retry: code === LOGIN_CODES.unknown })
+}
+
+// 读取提交登录后的页面并判断登录结果
+async function checkLogin(page) {
+    return classifyLogin({
+        path: new URL(page.url()).pathname,
+        title: await page.title(),
+        errorText: await page.$eval(SELECTORS.errorMessage, element => element.innerText).catch(() => ''),
+        hasCodeInput: Boolean(await page.$(SELECTORS.verificationCode)),
+    })
+}
+
+/**
+ * 清除 Cookie 后用给定账号登录，返回 classifyLogin 的结果
+ * 需要邮件认证码且设置了 IMAP_URL 时从邮箱读取认证码；登录失败时抛出带 code 的异常，只有 LOGIN_UNKNOWN 可以重试
+ */
+export async function login(page, { email, password }) {
+    await clearCookies(page)
+    await step(page, 'goto login', async () => {
+        await page.goto(URLS.login, { waitUntil: 'networkidle2' })
+        const result = await checkLogin(page)
+        if (result.code === LOGIN_CODES.maintenance) throw loginError(result)
+    })
+    await step(page, 'fill login', async () => {
+        await locate(page, 'memberid').fill(email)
+        await locate(page, 'password').fill(password)
+    })
+    const submitted = new Date()
+    await step(page, 'submit login', () => Promise.all([
+        page.waitForNavigation({ waitUntil: 'networkidle2' }),
+        locate(page, 'loginButton').click(),
+    ]))
+    return step(page, 'check login', async () => {
+        let result = await checkLogin(page)
+        if (result.code === LOGIN_CODES.verification && process.env.IMAP_URL) {
+            const code = await fetchLoginCode({ since: submitted })
+            await locate(page, 'verificationCode').fill(code)
+            await Promise.all([
+                page.waitForNavigation({ waitUntil: 'networkidle2' }),
+                locate(page, 'verificationSubmit').click(),
+            ])
+            result = await checkLogin(page)
+        }
+        if (result.code !== LOGIN_CODES.success) throw loginError(result)
+        return result
+    })
+}
+
+/**
+ * 恢复保存的会话并打开VPS管理主页；没有保存的会话或被重定向到登录页面时返回 false
+ */
+export async function resumeSession(page, { email }) {
+    const cookies = await loadCookies(email)
+    if (!cookies?.length) return false
+    const client = await page.createCDPSession()
+    await client.send('Network.clearBrowserCookies')
+    await client.send('Network.setCookies', { cookies })
+    await client.detach()
+    await step(page, 'goto dashboard', () => page.goto(URLS.dashboard, { waitUntil: 'networkidle2' }))
+    const resumed = (await checkLogin(page)).code === LOGIN_CODES.success
+    await logEvent({ step: 'resume session', url: page.url(), outcome: resumed ? 'ok' : 'expired' })
+    return resumed
+}
+
+/**
+ * 加密保存当前浏览器的 Cookie，下次运行时用 resumeSession 恢复
+ */
+export async function saveSession(page, { email }) {
+    const client = await page.createCDPSession()
+    const { cookies } = await client.send('Network.getAllCookies')
+    await client.detach()
+    await saveCookies(email, cookies.map(({ name, value, domain, path, expires, httpOnly, secure, sameSite, session }) => ({
+        name, value, domain, path, httpOnly, secure, sameSite, ...(session ? {} : { expires }),
+    })))
+}
+
+/**
+ * 优先恢复保存的会话，失效时登录，之后停留在VPS管理主页
+ */
+export async function signIn(page, account) {
+    if (!(await resumeSession(page, account))) await login(page, account)
+    await saveSession(page, account).catch(e => console.warn('failed to save the session:', e.message))
+}
+
+/**
+ * 列出当前页面（VPS管理主页）上的所有免费VPS
+ */
+export async function listFreeServers(page) {
+    const rows = await step(page, 'list servers', async () => {
+        const { selector } = await findAnchor(page, 'freeServerRow') ?? { selector: SELECTORS.freeServerRow }
+        return page.$$eval(selector, (rows, detailLink, expiry) => {
+            const find = (row, candidates) => candidates.map(candidate => row.querySelector(candidate)).find(Boolean)
+            return rows.map(row => ({
+                href: find(row, detailLink).href,
+                expiryText: find(row, expiry)?.textContent.trim() ?? null,
+            }))
+        }, ANCHORS.detailLink.candidates, ANCHORS.expiry.candidates)
+    })
+    return rows.map(({ href, expiryText }) => ({ id: serverIdFromHref(href), expiryText, expiry: parseExpiry(expiryText) }))
+}
+
+/**
+ * 打开VPS管理主页，返回指定VPS的到期日
+ */
+export async function readExpiry(page, id) {
+    await step(page, 'goto dashboard', () => page.goto(URLS.dashboard, { waitUntil: 'networkidle2' }))
+    const servers = await listFreeServers(page)
+    return servers.find(server => server.id === id)?.expiry ?? null
+}
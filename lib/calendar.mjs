@@ -0,0 +1,66 @@
+import core from './core.js'
+
+const { DEFAULT_WINDOW_DAYS, URLS } = core
+
+// RFC 5545：转义文本，每行最多 75 个字节，续行以空格开头
+function escape(text) {
+    return String(text).replace(/[\\;,]/g, match => `\\${match}`).replace(/\n/g, '\\n')
+}
+
+function fold(line) {
+    const lines = []
+    let current = ''
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (lines.length ? 74 : 75)) {
+            lines.push(current)
+            current = ''
+        }
+        current += char
+    }
+    return [...lines, current].join('\r\n ')
+}
+
+const date = expiry => expiry.replace(/-/g, '')
+const nextDay = expiry => new Date(Date.parse(`${expiry}T00:00:00Z`) + 86400000).toISOString().slice(0, 10)
+
+/**
+ * 生成 iCalendar：每台VPS在到期日有一个全天事件，并在续期窗口开始当天 9:00（东京时间）提醒
+ * servers: [{ email, id, expiry }]
+ */
+export function buildCalendar(servers, { windowDays = DEFAULT_WINDOW_DAYS, now = new Date() } = {}) {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '')
+    // 全天事件从当天 0:00 开始，提前 windowDays 天的 9:00 即 windowDays * 24 - 9 小时之前
+    const hours = windowDays * 24 - 9
+    const trigger = hours >= 0 ? `-PT${hours}H` : `PT${-hours}H`
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//extend-vps-exp//Xserver free VPS expiry//JA',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:Xserver VPS',
+        'X-WR-TIMEZONE:Asia/Tokyo',
+    ]
+    for (const { email, id, expiry } of servers) {
+        if (!expiry) continue
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:xvps-${id}-${date(expiry)}@extend-vps-exp`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${date(expiry)}`,
+            `DTEND;VALUE=DATE:${date(nextDay(expiry))}`,
+            `SUMMARY:${escape(`Xserver VPS ${id} expires`)}`,
+            `DESCRIPTION:${escape(`VPS ${id} (${email}) expires on ${expiry}. Renew it at ${URLS.login}`)}`,
+            `URL:${URLS.login}`,
+            'TRANSP:TRANSPARENT',
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escape(`Renewal window for VPS ${id} is open`)}`,
+            `TRIGGER:${trigger}`,
+            'END:VALARM',
+            'END:VEVENT',
+        )
+    }
+    lines.push('END:VCALENDAR')
+    return lines.map(fold).join('\r\n') + '\r\n'
+}
@@ -0,0 +1,15 @@
+import { appendFile, mkdir, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+
+/**
+ * 记录一次验证码尝试：图片保存为 <dir>/<时间>-<id>-<attempt>.<ext>，明细追加到 <dir>/attempts.jsonl
+ * entry: { vpsId, attempt, solver, confidence, code, accepted }；CAPTCHA_DATASET=0 时不记录
+ */
+export async function logCaptchaAttempt(dataUri, entry, dir = process.env.CAPTCHA_LOG_DIR || 'captcha-attempts') {
+    if (['0', 'false'].includes(process.env.CAPTCHA_DATASET)) return
+    await mkdir(dir, { recursive: true })
+    const [, type = 'png', base64 = ''] = dataUri.match(/^data:image\/(\w+)[^,]*,(.*)$/) ?? []
+    const image = `${new Date().toISOString().replace(/[:.]/g, '-')}-${entry.vpsId}-${entry.attempt}.${type}`
+    await writeFile(join(dir, image), Buffer.from(base64, 'base64'))
+    await appendFile(join(dir, 'attempts.jsonl'), JSON.stringify({ time: new Date().toISOString(), image, ...entry }) + '\n')
+}
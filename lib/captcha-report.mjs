@@ -0,0 +1,60 @@
+import { readFile, stat } from 'node:fs/promises'
+import { join } from 'node:path'
+
+/**
+ * 读取验证码尝试记录：目录中的 attempts.jsonl（main.mjs）或油猴脚本导出的 JSON 数组
+ */
+export async function loadAttempts(paths) {
+    const attempts = []
+    for (const path of paths) {
+        const file = (await stat(path)).isDirectory() ? join(path, 'attempts.jsonl') : path
+        const text = await readFile(file, 'utf8')
+        const entries = text.trimStart().startsWith('[') ? JSON.parse(text) : text.split('\n').filter(Boolean).map(line => JSON.parse(line))
+        attempts.push(...entries.map(entry => ({ ...entry, source: path })))
+    }
+    return attempts
+}
+
+const PERIODS = {
+    day: time => time.slice(0, 10),
+    month: time => time.slice(0, 7),
+    // ISO 周的周一
+    week: time => {
+        const date = new Date(`${time.slice(0, 10)}T00:00:00Z`)
+        date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7)
+        return date.toISOString().slice(0, 10)
+    },
+}
+
+/**
+ * 按时间段和识别后端统计准确率，只统计已知是否被接受的尝试
+ * 返回 [{ period, solver, attempts, accepted, accuracy }]，period 为 total 的行是全部时间的合计
+ */
+export function accuracyReport(attempts, { by = 'week' } = {}) {
+    if (!PERIODS[by]) throw new Error(`Unknown period: ${by}`)
+    const rows = new Map()
+    const add = (period, solver, accepted) => {
+        const key = `${period}\n${solver}`
+        const row = rows.get(key) ?? { period, solver, attempts: 0, accepted: 0, accuracy: 0 }
+        row.attempts++
+        if (accepted) row.accepted++
+        row.accuracy = row.accepted / row.attempts
+        rows.set(key, row)
+    }
+    for (const { time, solver = 'unknown', accepted } of attempts) {
+        if (typeof accepted !== 'boolean' || !time) continue
+        add(PERIODS[by](time), solver, accepted)
+        add('total', solver, accepted)
+    }
+    return [...rows.values()].sort((a, b) => (a.period === 'total') - (b.period === 'total') || a.period.localeCompare(b.period) || a.solver.localeCompare(b.solver))
+}
+
+/**
+ * 把报告格式化为文本表格
+ */
+export function formatReport(rows) {
+    const header = ['period', 'solver', 'attempts', 'accepted', 'accuracy']
+    const lines = [header, ...rows.map(row => [row.period, row.solver, String(row.attempts), String(row.accepted), `${(row.accuracy * 100).toFixed(1)}%`])]
+    const widths = header.map((_, i) => Math.max(...lines.map(line => line[i].length)))
+    return lines.map(line => line.map((cell, i) => i < 2 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])).join('  ')).join('\n')
+}
@@ -0,0 +1,121 @@
+import core from './core.js'
+import { clearCookies, findAnchor, locate, login } from './browser.mjs'
+import { logEvent, step } from './logger.mjs'
+
+const { DEFAULT_WINDOW_DAYS, URLS, SELECTORS_VERSION, ANCHORS, parseExpiry, renewalStatus, serverIdFromHref } = core
+
+// 页面上直接查找的锚点（不含 within 锚点）
+const anchorNames = page => Object.keys(ANCHORS).filter(name => ANCHORS[name].page === page && !ANCHORS[name].within)
+
+function describe(name) {
+    const { page, candidates, within = null, optional = false } = ANCHORS[name]
+    return { name, page, within, optional, candidates }
+}
+
+/**
+ * 需要报警的锚点：必需锚点的所有候选都不存在，或者只有备选候选存在（面板已经改版）
+ */
+export function brokenAnchors(anchors) {
+    return anchors.filter(anchor => anchor.fallback || (anchor.ok === false && !anchor.optional))
+}
+
+/**
+ * 依次打开登录页面、VPS管理主页、详情页面，有VPS在续期窗口内时再打开续期申请页面和验证码页面（不提交），
+ * 检查 ANCHORS 中的每个锚点，返回 { status, version, accounts, anchors, error }
+ * anchors 中 ok 为 null 的锚点所在页面没有打开，skipped 为原因
+ */
+export async function checkPages(page, account, { windowDays = Number(process.env.RENEW_WINDOW_DAYS || DEFAULT_WINDOW_DAYS) } = {}) {
+    const accountResult = { email: account.email, status: 'failure', error: null, code: null, servers: [] }
+    const summary = { status: 'failure', version: SELECTORS_VERSION, accounts: [accountResult], anchors: [], skipped: null, error: null }
+    const pending = new Set(Object.keys(ANCHORS))
+
+    const record = async (name, entry) => {
+        pending.delete(name)
+        summary.anchors.push({ ...describe(name), ...entry })
+        const outcome = entry.ok === null ? 'skipped' : !entry.ok ? 'missing' : entry.fallback ? 'fallback' : 'ok'
+        await logEvent({ step: 'check anchor', anchor: name, outcome, selector: entry.selector, error: entry.error })
+    }
+    // validate 可以对找到的元素做进一步检查，返回错误信息
+    const inspect = async (root, name, validate = async () => null) => {
+        const found = await findAnchor(root, name)
+        const error = found ? await validate(found.element) : 'No candidate matched'
+        await record(name, { ok: !error, selector: found?.selector ?? null, fallback: (found?.index ?? 0) > 0, error })
+        return found
+    }
+    const inspectPage = async (root, name) => {
+        for (const anchor of anchorNames(name)) await inspect(root, anchor)
+    }
+
+    let stage = 'login'
+    try {
+        await step(page, 'check login page', async () => {
+            await clearCookies(page)
+            await page.goto(URLS.login, { waitUntil: 'networkidle2' })
+            await inspectPage(page, 'login')
+        })
+        await login(page, account)
+        accountResult.status = 'success'
+
+        stage = 'dashboard'
+        const rows = await step(page, 'check dashboard', async () => {
+            if (new URL(page.url()).pathname !== new URL(URLS.dashboard).pathname) await page.goto(URLS.dashboard, { waitUntil: 'networkidle2' })
+            const found = await inspect(page, 'freeServerRow')
+            const rows = []
+            for (const element of found ? await page.$$(found.selector) : []) {
+                const { href, expiryText } = await element.evaluate((row, detailLink, expiry) => {
+                    const find = candidates => candidates.map(candidate => row.querySelector(candidate)).find(Boolean)
+                    return { href: find(detailLink)?.href ?? null, expiryText: find(expiry)?.textContent.trim() ?? null }
+                }, ANCHORS.detailLink.candidates, ANCHORS.expiry.candidates)
+                rows.push({ element, id: href && serverIdFromHref(href), expiryText, ...renewalStatus(expiryText, { windowDays }) })
+            }
+            return rows
+        })
+        accountResult.servers = rows.filter(row => row.id).map(({ id, expiryText, expiry, daysLeft, state }) => ({ id, expiryText, expiry, daysLeft, state }))
+        // 优先检查在续期窗口内的VPS，这样可以继续检查续期申请页面和验证码页面
+        const row = rows.find(row => row.state === 'due') ?? rows[0]
+        if (!row) throw new Error('No free VPS found on the dashboard')
+        // 到期日的文本格式也是锚点的一部分
+        await inspect(row.element, 'expiry', async () => parseExpiry(row.expiryText) ? null : `Unparseable expiry text: ${JSON.stringify(row.expiryText)}`)
+        await inspect(row.element, 'detailLink')
+        if (!row.id) throw new Error('No detail link in the free VPS row')
+
+        stage = 'detail'
+        await step(page, 'check detail', async () => {
+            await page.goto(URLS.detail(row.id), { waitUntil: 'networkidle2' })
+            await inspectPage(page, 'detail')
+        }, { vpsId: row.id })
+
+        if (row.state !== 'due') {
+            summary.skipped = `VPS ${row.id} is not in the renewal window (${row.state})`
+        } else {
+            stage = 'extendIndex'
+            await step(page, 'check extend index', async () => {
+                await page.goto(URLS.extendIndex(row.id), { waitUntil: 'networkidle2' })
+                await inspectPage(page, 'extendIndex')
+            }, { vpsId: row.id })
+
+            stage = 'captcha'
+            await step(page, 'check captcha page', async () => {
+                await Promise.all([
+                    page.waitForNavigation({ waitUntil: 'networkidle2' }),
+                    locate(page, 'continueButton').click(),
+                ])
+                await inspectPage(page, 'captcha')
+            }, { vpsId: row.id })
+        }
+    } catch (e) {
+        console.error(e)
+        summary.error = `[${stage}] ${e?.message ?? e}`
+        if (stage === 'login') {
+            accountResult.error = String(e?.message ?? e)
+            accountResult.code = e?.code ?? null
+        }
+    }
+
+    // 没有打开的页面上的锚点
+    for (const name of pending) {
+        await record(name, { ok: null, selector: null, fallback: false, error: null, skipped: summary.error ? `Not reached: ${summary.error}` : summary.skipped })
+    }
+    if (!summary.error && !summary.anchors.some(anchor => anchor.ok === false && !anchor.optional)) summary.status = 'success'
+    return summary
+}
@@ -0,0 +1,232 @@
+/*
+ * Xserver VPS 续期共享核心：页面选择器、到期日解析、续期窗口判断、验证码识别后端。
+ * Node 中通过 `import core from './lib/core.js'` 使用，油猴脚本中通过 @require 加载为全局 XvpsCore。
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.XvpsCore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Node 中可用 XSERVER_ORIGIN 指向模拟面板（mock/server.mjs）
+    const ORIGIN = (typeof process !== 'undefined' && process.env && process.env.XSERVER_ORIGIN) || 'https://secure.xserver.ne.jp';
+    const TIME_ZONE = 'Asia/Tokyo';
+    const CAPTCHA_ENDPOINT = 'https://captcha-120546510085.asia-northeast1.run.app';
+    // 剩余天数小于等于该值时续期（Xserver 只允许在到期前一天续期）
+    const DEFAULT_WINDOW_DAYS = 1;
+
+    const URLS = {
+        login: `${ORIGIN}/xapanel/login/xvps/`,
+        dashboard: `${ORIGIN}/xapanel/xvps/index`,
+        detail: id => `${ORIGIN}/xapanel/xvps/server/detail?id=${id}`,
+        extendIndex: id => `${ORIGIN}/xapanel/xvps/server/freevps/extend/index?id_vps=${id}`,
+    };
+
+    // 页面路径，用于判断当前处于哪个步骤
+    const PATHS = {
+        login: '/xapanel/login/xvps',
+        dashboard: '/xapanel/xvps/index',
+        extendIndex: '/xapanel/xvps/server/freevps/extend/index',
+        extendConf: '/xapanel/xvps/server/freevps/extend/conf',
+        extendDo: '/xapanel/xvps/server/freevps/extend/do',
+    };
+
+    // 选择器表的版本，面板改版后修改候选并更新版本号
+    const SELECTORS_VERSION = '2026-10-19';
+
+    /**
+     * 面板上的所有锚点：page 为所在页面，candidates 为按顺序尝试的候选选择器（第一个是当前面板使用的，其余为改版后的备选），
+     * within 表示在另一个锚点的元素内查找，optional 表示只在部分情况下出现（check 模式找不到时不报警）
+     * `text=` 开头的选择器只能在 Puppeteer 中使用
+     */
+    const ANCHORS = {
+        memberid: { page: 'login', candidates: ['#memberid', 'input[name="memberid"]'] },
+        password: { page: 'login', candidates: ['#user_password', 'input[name="user_password"]', 'input[type="password"]'] },
+        loginButton: { page: 'login', candidates: ['text=ログインする', '#login_area [type="submit"]'] },
+        errorMessage: { page: 'login', optional: true, candidates: ['.errorMessage'] },
+        verificationCode: { page: 'login', optional: true, candidates: ['input[autocomplete="one-time-code"], input[name*="otp" i], input[placeholder*="認証コード"]'] },
+        verificationSubmit: { page: 'login', optional: true, candidates: ['button[type="submit"], input[type="submit"]'] },
+        freeServerRow: { page: 'dashboard', candidates: ['tr:has(.freeServerIco)', 'tr:has([class*="freeServer"])'] },
+        expiry: { page: 'dashboard', within: 'freeServerRow', candidates: ['.contract__term', '[class*="contract__term"]'] },
+        detailLink: { page: 'dashboard', within: 'freeServerRow', candidates: ['a[href^="/xapanel/xvps/server/detail?id="]', 'a[href*="/xvps/server/detail"]'] },
+        renewButton: { page: 'detail', candidates: ['text=更新する', 'a[href*="/freevps/extend/index"]'] },
+        continueButton: { page: 'extendIndex', candidates: ['text=引き続き無料VPSの利用を継続する', '[formaction$="/freevps/extend/conf"]'] },
+        extendConfButton: { page: 'extendIndex', candidates: ['[formaction="/xapanel/xvps/server/freevps/extend/conf"]', '[formaction$="/freevps/extend/conf"]'] },
+        captchaImage: { page: 'captcha', candidates: ['img[src^="data:"]'] },
+        captchaInput: { page: 'captcha', candidates: ['[placeholder*="上の画像"]', 'input[name="auth_code"]'] },
+        submitButton: { page: 'captcha', candidates: ['text=無料VPSの利用を継続する', '[action$="/freevps/extend/do"] [type="submit"]'] },
+        turnstile: { page: 'captcha', optional: true, candidates: ['.cf-turnstile'] },
+        turnstileResponse: { page: 'captcha', optional: true, candidates: ['.cf-turnstile [name=cf-turnstile-response]', '[name=cf-turnstile-response]'] },
+    };
+
+    // 每个锚点当前使用的选择器（第一个候选）
+    const SELECTORS = Object.fromEntries(Object.entries(ANCHORS).map(([name, { candidates }]) => [name, candidates[0]]));
+
+    /**
+     * 在 DOM 中按候选顺序查找锚点（油猴脚本使用），跳过 `text=` 候选，都不存在时返回 null
+     */
+    function queryAnchor(name, root = document) {
+        for (const selector of ANCHORS[name].candidates) {
+            if (selector.startsWith('text=')) continue;
+            try {
+                const element = root.querySelector(selector);
+                if (element) return element;
+            } catch (e) {
+                // 不支持的选择器（例如旧浏览器中的 :has）
+            }
+        }
+        return null;
+    }
+
+    // 登录结果的错误代码
+    const LOGIN_CODES = {
+        success: 'LOGIN_OK',
+        badCredentials: 'LOGIN_BAD_CREDENTIALS',
+        locked: 'LOGIN_ACCOUNT_LOCKED',
+        verification: 'LOGIN_VERIFICATION_REQUIRED',
+        maintenance: 'LOGIN_MAINTENANCE',
+        unknown: 'LOGIN_UNKNOWN',
+    };
+
+    /**
+     * 根据提交登录后页面的路径、标题、错误信息和是否有认证码输入框判断登录结果
+     * 返回 { code, message }，code 为 LOGIN_CODES 中的值
+     */
+    function classifyLogin({ path = '', title = '', errorText = '', hasCodeInput = false }) {
+        const error = errorText.trim();
+        if (/メンテナンス/.test(title) || /メンテナンス/.test(error) || /maintenance/i.test(path)) {
+            return { code: LOGIN_CODES.maintenance, message: error || title || 'The panel is under maintenance' };
+        }
+        if (/ロック|凍結|制限/.test(error)) {
+            return { code: LOGIN_CODES.locked, message: error };
+        }
+        if (hasCodeInput) {
+            return { code: LOGIN_CODES.verification, message: 'A verification code is required to log in' };
+        }
+        if (error) {
+            return { code: LOGIN_CODES.badCredentials, message: error };
+        }
+        if (!path.startsWith(PATHS.login)) {
+            return { code: LOGIN_CODES.success, message: null };
+        }
+        return { code: LOGIN_CODES.unknown, message: 'Still on the login page without an error message' };
+    }
+
+    /**
+     * 以东京时区返回 yyyy-mm-dd 格式的日期，offsetDays 为相对 now 的天数
+     */
+    function tokyoDate(offsetDays = 0, now = Date.now()) {
+        return new Date(now + offsetDays * 86400000).toLocaleDateString('sv', { timeZone: TIME_ZONE });
+    }
+
+    /**
+     * 从 .contract__term 的文本中解析出 yyyy-mm-dd，无法解析时返回 null
+     */
+    function parseExpiry(text) {
+        const match = String(text ?? '').match(/(\d{4})\s*[-/年.]\s*(\d{1,2})\s*[-/月.]\s*(\d{1,2})/);
+        if (!match) return null;
+        const [, year, month, day] = match;
+        const expiry = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+        // 排除 2025-02-30 之类不存在的日期
+        const date = new Date(`${expiry}T00:00:00Z`);
+        return date.getUTCMonth() + 1 === Number(month) && date.getUTCDate() === Number(day) ? expiry : null;
+    }
+
+    /**
+     * 从东京时区的今天到 expiry (yyyy-mm-dd) 还剩多少天，当天到期为 0
+     */
+    function daysUntil(expiry, now = Date.now()) {
+        return Math.round((Date.parse(`${expiry}T00:00:00Z`) - Date.parse(`${tokyoDate(0, now)}T00:00:00Z`)) / 86400000);
+    }
+
+    /**
+     * 根据 .contract__term 的文本判断续期状态
+     * state: due（在续期窗口内） | not-due | expired（已过期） | unparseable（无法解析）
+     */
+    function renewalStatus(text, { windowDays = DEFAULT_WINDOW_DAYS, now = Date.now() } = {}) {
+        const expiry = parseExpiry(text);
+        if (expiry === null) {
+            return { state: 'unparseable', expiry, daysLeft: null, warning: `Unparseable expiry date: ${JSON.stringify(text)}` };
+        }
+        const daysLeft = daysUntil(expiry, now);
+        if (daysLeft < 0) {
+            return { state: 'expired', expiry, daysLeft, warning: `Already expired on ${expiry}` };
+        }
+        return { state: daysLeft <= windowDays ? 'due' : 'not-due', expiry, daysLeft, warning: null };
+    }
+
+    /**
+     * 从详情链接中取出 VPS 的 id
+     */
+    function serverIdFromHref(href) {
+        return new URL(href, ORIGIN).searchParams.get('id');
+    }
+
+    /**
+     * HTTP 验证码识别后端：POST data URI，返回纯文本数字或 JSON { code, confidence }
+     * 纯文本结果和没有 confidence 的 JSON 结果没有置信度，全为数字时记为 1，否则为 0
+     * onRetry(attempt, error) 在每次失败重试前调用
+     */
+    function createHttpSolver(endpoint = CAPTCHA_ENDPOINT, { name = 'hosted', retries = 3, onRetry } = {}) {
+        return {
+            name,
+            async solve(dataUri) {
+                for (let attempt = 1; ; attempt++) {
+                    try {
+                        const response = await fetch(endpoint, {
+                            method: 'POST',
+                            body: dataUri,
+                            headers: { 'Content-Type': 'text/plain' },
+                        });
+                        if (!response.ok) {
+                            throw new Error(`Captcha API responded ${response.status}`);
+                        }
+                        const text = (await response.text()).trim();
+                        const reply = text.startsWith('{') ? JSON.parse(text) : { code: text };
+                        const code = String(reply.code ?? '');
+                        if (code.length < 4) {
+                            throw new Error(`Captcha API returned an invalid code: ${reply.code}`);
+                        }
+                        const confidence = reply.confidence ?? (/^\d+$/.test(code) ? 1 : 0);
+                        return { code, confidence: Number(confidence) };
+                    } catch (e) {
+                        if (attempt >= retries) throw e;
+                        onRetry?.(attempt, e);
+                    }
+                }
+            },
+        };
+    }
+
+    /**
+     * 按顺序尝试各个识别后端（{ name, solve(dataUri) => { code, confidence } }），
+     * 出错或置信度低于 minConfidence 时换下一个；全部低于阈值时返回置信度最高的结果。
+     * 返回 { code, confidence, solver }
+     */
+    async function solveCaptcha(dataUri, { solvers = [createHttpSolver()], minConfidence = 0, onError } = {}) {
+        let best = null;
+        let lastError = null;
+        for (const solver of solvers) {
+            try {
+                const { code, confidence } = await solver.solve(dataUri);
+                const result = { code, confidence, solver: solver.name };
+                if (confidence >= minConfidence) return result;
+                if (!best || confidence > best.confidence) best = result;
+                onError?.(solver.name, new Error(`Low confidence ${confidence} for ${code}`));
+            } catch (e) {
+                lastError = e;
+                onError?.(solver.name, e);
+            }
+        }
+        if (best) return best;
+        throw lastError ?? new Error('No captcha solver configured');
+    }
+
+    return {
+        ORIGIN, TIME_ZONE, CAPTCHA_ENDPOINT, DEFAULT_WINDOW_DAYS, URLS, PATHS, SELECTORS_VERSION, ANCHORS, SELECTORS, LOGIN_CODES,
+        queryAnchor, classifyLogin, tokyoDate, parseExpiry, daysUntil, renewalStatus, serverIdFromHref, createHttpSolver, solveCaptcha,
+    };
+});
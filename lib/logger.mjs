@@ -0,0 +1,39 @@
+import { appendFile, mkdir, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+
+const logPath = process.env.RUN_LOG || 'run.jsonl'
+const artifactsDir = process.env.ARTIFACTS_DIR || 'artifacts'
+
+/**
+ * 追加一行 JSON 日志
+ */
+export async function logEvent(entry) {
+    await appendFile(logPath, JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n')
+}
+
+// 保存失败时页面的截图和 HTML，返回文件路径
+async function saveFailure(page, step) {
+    await mkdir(artifactsDir, { recursive: true })
+    const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${step.replace(/\W+/g, '-')}`
+    const screenshot = join(artifactsDir, `${name}.png`)
+    const html = join(artifactsDir, `${name}.html`)
+    await page.screenshot({ path: screenshot, fullPage: true })
+    await writeFile(html, await page.content())
+    return { screenshot, html }
+}
+
+/**
+ * 执行一个步骤并记录步骤名、耗时、URL 和结果；失败时保存截图和 HTML 后重新抛出异常
+ */
+export async function step(page, name, fn, fields = {}) {
+    const start = Date.now()
+    try {
+        const value = await fn()
+        await logEvent({ step: name, durationMs: Date.now() - start, url: page.url(), outcome: 'ok', ...fields })
+        return value
+    } catch (e) {
+        const artifacts = await saveFailure(page, name).catch(error => ({ artifactError: error.message }))
+        await logEvent({ step: name, durationMs: Date.now() - start, url: page.url(), outcome: 'error', error: e.message, ...fields, ...artifacts })
+        throw e
+    }
+}
@@ -0,0 +1,129 @@
+import { setTimeout } from 'node:timers/promises'
+
+const MAIL_RELAY_URL = 'https://script.google.com/macros/s/AKfycbzbAcpAe_LGZsXpxjRl9aOV60q-XmuNC_bj62B5G45vR3vB13THNpoqiZr08AjMn_53Ug/exec'
+
+/**
+ * 通知内容模板
+ * event.type: expiring | renewed | renew-failed | warning | login-failed | page-changed | run-failed
+ */
+export function formatMessage(event) {
+    const vps = `VPS ${event.vpsId ?? '?'} (${event.email ?? '-'})`
+    switch (event.type) {
+        case 'expiring':
+            return {
+                subject: `[Xserver VPS] ${vps} expires on ${event.expiry}`,
+                text: `${vps} expires on ${event.expiry}. Renew it at https://secure.xserver.ne.jp/xapanel/login/xvps/`,
+            }
+        case 'renewed':
+            return {
+                subject: `[Xserver VPS] ${vps} renewed until ${event.newExpiry}`,
+                text: `${vps} was renewed: ${event.expiry} -> ${event.newExpiry}`,
+            }
+        case 'renew-failed':
+            return {
+                subject: `[Xserver VPS] ${vps} renewal failed`,
+                text: `${vps} renewal failed at stage "${event.stage}" (expires on ${event.expiry}): ${event.error}`,
+            }
+        case 'warning':
+            return {
+                subject: `[Xserver VPS] ${vps} needs attention`,
+                text: `${vps}: ${event.warning}`,
+            }
+        case 'login-failed':
+            return {
+                subject: `[Xserver VPS] Login failed for ${event.email ?? '-'} (${event.code})`,
+                text: `Login as ${event.email ?? '-'} failed with ${event.code}: ${event.error}`,
+            }
+        case 'page-changed': {
+            // anchors 为 check 模式中找不到或只找到备选候选的锚点
+            const lines = event.anchors.map(anchor => anchor.ok
+                ? `${anchor.name} (${anchor.page}): matched only the fallback ${anchor.selector}`
+                : `${anchor.name} (${anchor.page}): ${anchor.error} [${anchor.candidates.join(' | ')}]`)
+            if (event.error) lines.push(`check stopped: ${event.error}`)
+            return {
+                subject: `[Xserver VPS] Panel pages changed: ${event.anchors.map(anchor => anchor.name).join(', ') || 'check failed'}`,
+                text: `Selectors version ${event.version}\n${lines.join('\n')}`,
+            }
+        }
+        case 'run-failed':
+            return {
+                subject: `[Xserver VPS] ${event.command} run failed`,
+                text: `${event.command} failed before checking the VPSs: ${event.error}`,
+            }
+        default:
+            throw new Error(`Unknown notification type: ${event.type}`)
+    }
+}
+
+async function post(url, payload) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+    })
+    if (!response.ok) throw new Error(`${url} responded ${response.status}`)
+}
+
+/**
+ * 根据环境变量创建通知渠道，每个渠道为 { name, send(event, message) }
+ */
+export function createNotifiers(env = process.env) {
+    const notifiers = []
+    if (env.SLACK_WEBHOOK_URL) {
+        notifiers.push({ name: 'slack', send: (event, { text }) => post(env.SLACK_WEBHOOK_URL, { text }) })
+    }
+    if (env.DISCORD_WEBHOOK_URL) {
+        notifiers.push({ name: 'discord', send: (event, { text }) => post(env.DISCORD_WEBHOOK_URL, { content: text }) })
+    }
+    if (env.WEBHOOK_URL) {
+        notifiers.push({ name: 'webhook', send: (event, message) => post(env.WEBHOOK_URL, { ...event, ...message }) })
+    }
+    if (env.SMTP_URL) {
+        notifiers.push({
+            name: 'smtp',
+            async send(event, { subject, text }) {
+                const { default: nodemailer } = await import('nodemailer')
+                const transport = nodemailer.createTransport(env.SMTP_URL)
+                await transport.sendMail({ from: env.MAIL_FROM || env.MAIL_TO, to: env.MAIL_TO || event.email, subject, text })
+            },
+        })
+    }
+    // 未配置任何渠道时，沿用原来的 Google Apps Script 邮件提醒（只支持到期提醒）
+    if (!notifiers.length) {
+        notifiers.push({
+            name: 'mail-relay',
+            async send(event) {
+                if (event.type !== 'expiring' || !event.email) return
+                const response = await fetch(`${MAIL_RELAY_URL}?recipient=${encodeURIComponent(event.email)}`)
+                if (!response.ok) throw new Error(`mail relay responded ${response.status}`)
+            },
+        })
+    }
+    return notifiers
+}
+
+/**
+ * 通过所有渠道发送通知，失败时按 NOTIFY_RETRIES 重试，不会抛出异常
+ */
+export async function notify(event, notifiers = createNotifiers()) {
+    let message
+    try {
+        message = formatMessage(event)
+    } catch (e) {
+        console.error('notify failed:', e.message)
+        return
+    }
+    const retries = Number(process.env.NOTIFY_RETRIES || 3)
+    await Promise.all(notifiers.map(async notifier => {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await notifier.send(event, message)
+                return
+            } catch (e) {
+                console.error(`notify ${notifier.name} failed (attempt ${attempt}/${retries}):`, e.message)
+                if (attempt >= retries) return
+                await setTimeout(1000 * 2 ** attempt)
+            }
+        }
+    }))
+}
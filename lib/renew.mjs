@@ -0,0 +1,251 @@
+import core from './core.js'
+import { findAnchor, locate, login, listFreeServers, readExpiry, resumeSession, saveSession } from './browser.mjs'
+import { notify } from './notify.mjs'
+import { createSolvers } from './solvers.mjs'
+import { logCaptchaAttempt } from './captcha-log.mjs'
+import { loadTurnstileProvider, waitForTurnstile } from './turnstile.mjs'
+import { logEvent, step } from './logger.mjs'
+import { fatal, loadPolicies, runStages } from './stages.mjs'
+
+const { DEFAULT_WINDOW_DAYS, URLS, PATHS, SELECTORS, renewalStatus, solveCaptcha } = core
+const windowDays = Number(process.env.RENEW_WINDOW_DAYS || DEFAULT_WINDOW_DAYS)
+const solvers = createSolvers()
+const minConfidence = Number(process.env.CAPTCHA_MIN_CONFIDENCE || 0)
+const maxCaptchaAttempts = Number(process.env.CAPTCHA_MAX_ATTEMPTS || 3)
+const turnstileTimeout = Number(process.env.TURNSTILE_TIMEOUT || 15000)
+const turnstileRetries = Number(process.env.TURNSTILE_RETRIES || 2)
+const turnstileProvider = await loadTurnstileProvider()
+const policies = loadPolicies()
+// 某台VPS的步骤重试用完后，从VPS管理主页恢复的次数
+const maxResumes = Number(process.env.STAGE_RESUMES || 1)
+
+// status: pending | success | failure | skipped | dry-run, stage: 失败时停留的步骤
+function planRenewal(server, dryRun) {
+    const { state, daysLeft, warning } = renewalStatus(server.expiryText, { windowDays })
+    const result = { id: server.id, status: 'pending', stage: 'detail', oldExpiry: server.expiry, newExpiry: null, daysLeft, message: null, warning, error: null, resumes: 0, state }
+    if (warning) console.warn(`${server.id}: ${warning}`)
+    if (state === 'unparseable') {
+        Object.assign(result, { status: 'failure', stage: 'dashboard', error: warning })
+    } else if (state === 'not-due' && !dryRun) {
+        // 已过期的VPS也尝试续期；演练模式下不在续期窗口内的VPS只打开详情页面
+        Object.assign(result, { status: 'skipped', stage: 'done', newExpiry: server.expiry })
+    }
+    return result
+}
+
+/**
+ * 一个账号的续期状态机：login → dashboard → detail → extendIndex → captcha → confirm → dashboard（下一台VPS）
+ * 某一步重试用完后回到 dashboard 重新检查当前VPS的到期日再继续，最多 STAGE_RESUMES 次
+ */
+async function renewAccount(page, account, accountResult, { dryRun }) {
+    let results = null
+    let current = null
+    let logins = 0
+    let triedSession = false
+    let reopens = 0
+    const fields = () => ({ vpsId: current?.id })
+
+    async function finish(result, status) {
+        result.status = status
+        if (status !== 'failure') {
+            result.stage = 'done'
+            result.error = null
+        }
+        await logEvent({ step: 'renew', outcome: status, vpsId: result.id, stage: result.stage, error: result.error })
+        // 演练模式不发送通知
+        if (!dryRun && (status === 'success' || status === 'failure')) {
+            await notify({
+                type: status === 'success' ? 'renewed' : 'renew-failed',
+                email: account.email,
+                vpsId: result.id,
+                expiry: result.oldExpiry,
+                newExpiry: result.newExpiry,
+                stage: result.stage,
+                error: result.error,
+            })
+        }
+    }
+
+    const stages = {
+        async login() {
+            // 先尝试保存的会话，失效时才输入密码登录
+            if (!triedSession) {
+                triedSession = true
+                if (await resumeSession(page, account)) return 'dashboard'
+            }
+            if (++logins > policies.login.retries + 1) throw fatal(`Still on the login page after ${logins - 1} logins`)
+            await login(page, account)
+            return 'dashboard'
+        },
+        async dashboard(attempt) {
+            if (attempt > 1 || new URL(page.url()).pathname !== PATHS.dashboard) {
+                await step(page, 'goto dashboard', () => page.goto(URLS.dashboard, { waitUntil: 'networkidle2' }))
+            }
+            // 会话失效时会被重定向到登录页面
+            if (new URL(page.url()).pathname.startsWith(PATHS.login)) return 'login'
+            const servers = await listFreeServers(page)
+            if (!results) {
+                await logEvent({ step: 'list servers', outcome: 'ok', servers: servers.map(({ id, expiry }) => ({ id, expiry })) })
+                await saveSession(page, account).catch(e => console.warn('failed to save the session:', e.message))
+                results = servers.map(server => planRenewal(server, dryRun))
+                accountResult.servers = results
+                for (const result of results) {
+                    if (result.status !== 'pending') await finish(result, result.status)
+                }
+            }
+            // 从失败中恢复：到期日已经延后说明上次其实提交成功了，否则重新走一遍流程
+            if (current) {
+                const latest = servers.find(server => server.id === current.id)
+                if (latest?.expiry && Date.parse(latest.expiry) > Date.parse(current.oldExpiry)) {
+                    current.newExpiry = latest.expiry
+                    await finish(current, 'success')
+                    current = null
+                }
+            }
+            current ??= results.find(result => result.status === 'pending')
+            if (!current) return 'done'
+            reopens = 0
+            return 'detail'
+        },
+        async detail() {
+            current.stage = 'detail'
+            await step(page, 'goto detail', () => page.goto(URLS.detail(current.id), { waitUntil: 'networkidle2' }), fields())
+            // 不在续期窗口内时没有续期申请页面，演练模式到详情页面为止
+            if (dryRun && current.state === 'not-due') {
+                if (!(await findAnchor(page, 'renewButton'))) throw new Error('Missing anchor renewButton on the detail page')
+                current.plan = 'skip'
+                current.message = `Would skip (${current.daysLeft} days left)`
+                await finish(current, 'dry-run')
+                current = null
+                return 'dashboard'
+            }
+            await step(page, 'click renew', () => Promise.all([
+                page.waitForNavigation({ waitUntil: 'networkidle2' }),
+                locate(page, 'renewButton').click(),
+            ]), fields())
+            return 'extendIndex'
+        },
+        async extendIndex() {
+            current.stage = 'extendIndex'
+            if (!new URL(page.url()).pathname.startsWith(PATHS.extendIndex)) {
+                await step(page, 'goto extend', () => page.goto(URLS.extendIndex(current.id), { waitUntil: 'networkidle2' }), fields())
+            }
+            await step(page, 'navigate extend', () => Promise.all([
+                page.waitForNavigation({ waitUntil: 'networkidle2' }),
+                locate(page, 'continueButton').click(),
+            ]), fields())
+            return 'captcha'
+        },
+        async captcha() {
+            current.stage = 'captcha'
+            if (!(await page.$(SELECTORS.captchaImage))) throw new Error('Captcha image not found')
+            // 没有拿到 Turnstile 令牌时重新打开验证码页面，重试用完后不带令牌提交
+            current.turnstile = { ...(await step(page, 'turnstile', () => waitForTurnstile(page, { timeout: turnstileTimeout, provider: turnstileProvider }), fields())), retries: reopens }
+            if (current.turnstile.widget && !current.turnstile.source) {
+                if (reopens < turnstileRetries) {
+                    reopens++
+                    console.warn(`${current.id}: no Turnstile token after ${turnstileTimeout}ms, reopening the captcha page (${reopens}/${turnstileRetries})`)
+                    return 'extendIndex'
+                }
+                console.warn(`${current.id}: submitting without a Turnstile token`)
+            }
+
+            const attempt = (current.captcha?.attempts ?? 0) + 1
+            const body = await step(page, 'read captcha', () => page.$eval(SELECTORS.captchaImage, img => img.src), { ...fields(), attempt })
+            const { code, confidence, solver } = await step(page, 'captcha solve', () => solveCaptcha(body, {
+                solvers,
+                minConfidence,
+                onError: (name, e) => console.warn(`captcha solver ${name} failed:`, e.message),
+            }), { ...fields(), attempt })
+            current.captcha = { solver, confidence, attempts: attempt }
+            if (dryRun) {
+                for (const name of ['captchaInput', 'submitButton']) {
+                    if (!(await findAnchor(page, name))) throw new Error(`Missing anchor ${name} on the captcha page`)
+                }
+                current.plan = 'renew'
+                current.message = `Would ${current.plan} (${current.daysLeft} days left), captcha ${code} by ${solver}`
+                await finish(current, 'dry-run')
+                current = null
+                return 'dashboard'
+            }
+            await step(page, 'fill captcha', () => locate(page, 'captchaInput').fill(code), { ...fields(), attempt })
+            await step(page, 'submit', () => Promise.all([
+                page.waitForNavigation({ waitUntil: 'networkidle2' }),
+                locate(page, 'submitButton').click(),
+            ]), { ...fields(), attempt })
+            reopens = 0
+            current.message = await page.$eval('body', (body, errorMessage) => (body.querySelector(errorMessage) ?? body).innerText.trim().slice(0, 500), SELECTORS.errorMessage)
+            // 验证码错误时页面会带着新的图片返回，重新识别并提交
+            const accepted = !(await page.$(SELECTORS.captchaImage))
+            await logEvent({ step: 'captcha result', url: page.url(), outcome: accepted ? 'ok' : 'rejected', ...fields(), attempt, solver, confidence })
+            await logCaptchaAttempt(body, { vpsId: current.id, attempt, solver, confidence, code, accepted })
+                .catch(e => console.warn('failed to log captcha attempt:', e.message))
+            if (accepted) return 'confirm'
+            console.warn(`${current.id}: captcha ${code} rejected (attempt ${attempt}/${maxCaptchaAttempts})`)
+            if (attempt >= maxCaptchaAttempts) throw fatal(`Captcha rejected ${attempt} times`)
+            return 'captcha'
+        },
+        async confirm() {
+            current.stage = 'confirm'
+            current.newExpiry = await readExpiry(page, current.id)
+            if (!(Date.parse(current.newExpiry) > Date.parse(current.oldExpiry))) {
+                throw new Error(`Expiry did not move forward: ${current.oldExpiry} -> ${current.newExpiry}`)
+            }
+            await finish(current, 'success')
+            current = null
+            return 'dashboard'
+        },
+    }
+
+    await runStages(page, stages, 'login', {
+        policies,
+        fields,
+        async onFailure(stage, e) {
+            console.error(e)
+            // 登录和VPS管理主页失败时无法继续这个账号
+            if (stage === 'login' || stage === 'dashboard') throw e
+            current.stage = stage
+            current.error = String(e?.message ?? e)
+            if (e.retry !== false && current.resumes < maxResumes) {
+                current.resumes++
+                console.warn(`${current.id}: resuming from the dashboard (${current.resumes}/${maxResumes})`)
+                return 'dashboard'
+            }
+            await finish(current, 'failure')
+            current = null
+            return 'dashboard'
+        },
+    }).catch(async e => {
+        // 账号中断时，尚未处理的VPS记为失败
+        for (const result of results ?? []) {
+            if (result.status !== 'pending') continue
+            result.error = String(e?.message ?? e)
+            await finish(result, 'failure')
+        }
+        throw e
+    })
+}
+
+/**
+ * 依次为每个账号续期，返回 result.json 的内容；dryRun 时走到验证码页面为止，不提交
+ */
+export async function renewAccounts(page, accounts, { dryRun = false } = {}) {
+    const summary = { status: 'success', dryRun, accounts: [] }
+    for (const account of accounts) {
+        const accountResult = { email: account.email, status: 'failure', error: null, code: null, servers: [] }
+        summary.accounts.push(accountResult)
+        try {
+            await renewAccount(page, account, accountResult, { dryRun })
+            accountResult.status = accountResult.servers.some(server => server.status === 'failure') ? 'failure' : 'success'
+        } catch (e) {
+            console.error(e)
+            accountResult.error = String(e?.message ?? e)
+            accountResult.code = e?.code ?? null
+            if (accountResult.code?.startsWith('LOGIN_') && !dryRun) {
+                await notify({ type: 'login-failed', email: account.email, code: accountResult.code, error: accountResult.error })
+            }
+        }
+    }
+    if (summary.accounts.some(account => account.status !== 'success')) summary.status = 'failure'
+    return summary
+}
@@ -0,0 +1,51 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes, scrypt } from 'node:crypto'
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { promisify } from 'node:util'
+
+const secret = process.env.SESSION_SECRET
+const sessionDir = process.env.SESSION_DIR || '.session'
+
+// 每个账号一个文件，文件名不包含邮箱本身
+function sessionPath(email) {
+    return join(sessionDir, `${createHash('sha256').update(email).digest('hex').slice(0, 16)}.json`)
+}
+
+async function deriveKey(salt) {
+    return promisify(scrypt)(secret, salt, 32)
+}
+
+/**
+ * 读取并解密保存的 Cookie；未设置 SESSION_SECRET、没有文件或解密失败时返回 null
+ */
+export async function loadCookies(email) {
+    if (!secret) return null
+    try {
+        const { salt, iv, tag, data } = JSON.parse(await readFile(sessionPath(email), 'utf8'))
+        const decipher = createDecipheriv('aes-256-gcm', await deriveKey(Buffer.from(salt, 'base64')), Buffer.from(iv, 'base64'))
+        decipher.setAuthTag(Buffer.from(tag, 'base64'))
+        return JSON.parse(Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8'))
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.warn('failed to load the saved session:', e.message)
+        return null
+    }
+}
+
+/**
+ * 用 SESSION_SECRET 加密保存 Cookie（AES-256-GCM，密钥由 scrypt 派生）；未设置时不保存
+ */
+export async function saveCookies(email, cookies) {
+    if (!secret) return
+    const salt = randomBytes(16)
+    const iv = randomBytes(12)
+    const cipher = createCipheriv('aes-256-gcm', await deriveKey(salt), iv)
+    const data = Buffer.concat([cipher.update(JSON.stringify(cookies), 'utf8'), cipher.final()])
+    await mkdir(sessionDir, { recursive: true })
+    await writeFile(sessionPath(email), JSON.stringify({
+        version: 1,
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    }) + '\n', { mode: 0o600 })
+}
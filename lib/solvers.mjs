@@ -0,0 +1,65 @@
+import { resolve } from 'node:path'
+import core from './core.js'
+
+const { CAPTCHA_ENDPOINT, createHttpSolver } = core
+
+/**
+ * 离线识别后端：用 TF.js 在本地运行 xserver_captcha 模型
+ * CAPTCHA_MODEL_PATH 指向 tensorflowjs_converter 从 xserver_captcha.keras 转换得到的 model.json，
+ * 模型输入为 [1, height, width, channels]，输出为 CTC 概率 [timesteps, charset.length + 1]（最后一类为 blank）
+ */
+export function createLocalSolver({ modelPath, charset = '0123456789' }) {
+    let loading
+    async function load() {
+        const tf = await import('@tensorflow/tfjs-node')
+        const model = await tf.loadLayersModel(`file://${resolve(modelPath)}`)
+        return { tf, model }
+    }
+    return {
+        name: 'local',
+        async solve(dataUri) {
+            loading ??= load()
+            const { tf, model } = await loading
+            const [, height, width, channels] = model.inputs[0].shape
+            const buffer = Buffer.from(dataUri.slice(dataUri.indexOf(',') + 1), 'base64')
+            const output = tf.tidy(() => {
+                const image = tf.node.decodeImage(buffer, channels).resizeBilinear([height, width]).toFloat().div(255).expandDims(0)
+                return model.predict(image).squeeze()
+            })
+            const steps = await output.array()
+            output.dispose()
+
+            // CTC 贪婪解码，置信度为每个输出字符概率的乘积
+            const blank = charset.length
+            let code = ''
+            let confidence = 1
+            let previous = blank
+            for (const probabilities of steps) {
+                const index = probabilities.indexOf(Math.max(...probabilities))
+                if (index !== blank && index !== previous) {
+                    code += charset[index]
+                    confidence *= probabilities[index]
+                }
+                previous = index
+            }
+            return { code, confidence: code ? confidence : 0 }
+        },
+    }
+}
+
+/**
+ * 根据环境变量创建识别后端列表
+ * CAPTCHA_SOLVERS: 逗号分隔的顺序，可选 self-hosted,local,hosted；默认按已配置的后端依次尝试，最后使用公共服务
+ */
+export function createSolvers(env = process.env) {
+    const backends = {
+        'self-hosted': () => env.CAPTCHA_SOLVER_URL && createHttpSolver(env.CAPTCHA_SOLVER_URL, { name: 'self-hosted' }),
+        local: () => env.CAPTCHA_MODEL_PATH && createLocalSolver({ modelPath: env.CAPTCHA_MODEL_PATH, charset: env.CAPTCHA_MODEL_CHARSET || undefined }),
+        hosted: () => createHttpSolver(CAPTCHA_ENDPOINT),
+    }
+    const order = env.CAPTCHA_SOLVERS ? env.CAPTCHA_SOLVERS.split(',').map(name => name.trim()) : Object.keys(backends)
+    return order.map(name => {
+        if (!backends[name]) throw new Error(`Unknown captcha solver: ${name}`)
+        return backends[name]()
+    }).filter(Boolean)
+}
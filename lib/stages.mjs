@@ -0,0 +1,62 @@
+import { setTimeout } from 'node:timers/promises'
+import { logEvent } from './logger.mjs'
+
+/**
+ * 各步骤的超时（毫秒，作为页面默认超时）、失败后的重试次数和重试间隔
+ * 验证码步骤还受 TURNSTILE_TIMEOUT 和识别服务自身超时的限制
+ */
+export const DEFAULT_POLICIES = {
+    login: { timeout: 30000, retries: 2, delay: 5000 },
+    dashboard: { timeout: 30000, retries: 2, delay: 5000 },
+    detail: { timeout: 30000, retries: 2, delay: 3000 },
+    extendIndex: { timeout: 30000, retries: 2, delay: 3000 },
+    captcha: { timeout: 60000, retries: 1, delay: 3000 },
+    confirm: { timeout: 30000, retries: 2, delay: 3000 },
+}
+
+/**
+ * 读取 STAGE_POLICIES（JSON，例如 {"captcha":{"timeout":90000,"retries":2}}）覆盖默认策略
+ */
+export function loadPolicies(env = process.env) {
+    const overrides = env.STAGE_POLICIES ? JSON.parse(env.STAGE_POLICIES) : {}
+    return Object.fromEntries(Object.entries(DEFAULT_POLICIES).map(([stage, policy]) => [stage, { ...policy, ...overrides[stage] }]))
+}
+
+/**
+ * 不应重试的错误（例如验证码被拒绝次数过多），直接交给 onFailure 处理
+ */
+export function fatal(message) {
+    return Object.assign(new Error(message), { retry: false })
+}
+
+/**
+ * 状态机：从 start 开始执行 stages[name](attempt)，返回值为下一步骤名，'done' 表示结束
+ * 步骤失败时按策略重试；重试用完后调用 onFailure(stage, error)，它返回恢复的步骤名，或抛出异常结束运行
+ */
+export async function runStages(page, stages, start, { policies = DEFAULT_POLICIES, onFailure, fields } = {}) {
+    let current = start
+    while (current !== 'done') {
+        const policy = policies[current]
+        let next
+        for (let attempt = 1; ; attempt++) {
+            page.setDefaultTimeout(policy.timeout)
+            page.setDefaultNavigationTimeout(policy.timeout)
+            try {
+                next = await stages[current](attempt)
+                break
+            } catch (e) {
+                const retry = e.retry !== false && attempt <= policy.retries
+                await logEvent({ step: `stage ${current}`, outcome: retry ? 'retry' : 'failed', url: page.url(), attempt, error: e.message, ...fields?.() })
+                if (retry) {
+                    console.warn(`stage ${current} failed (attempt ${attempt}/${policy.retries + 1}): ${e.message}`)
+                    await setTimeout(policy.delay)
+                    continue
+                }
+                if (!onFailure) throw e
+                next = await onFailure(current, e)
+                break
+            }
+        }
+        current = next
+    }
+}
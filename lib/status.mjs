@@ -0,0 +1,110 @@
+import http from 'node:http'
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import core from './core.js'
+import { buildCalendar } from './calendar.mjs'
+
+const { DEFAULT_WINDOW_DAYS, daysUntil } = core
+const statusDir = process.env.STATUS_DIR || 'status'
+
+/**
+ * 读取 <dir>/status.json，不存在时返回 null
+ */
+export async function readStatus(dir = statusDir) {
+    return JSON.parse(await readFile(join(dir, 'status.json'), 'utf8').catch(() => 'null'))
+}
+
+// 每台VPS当前的到期日：renew 的结果用续期后的日期，status / remind 用读取到的日期
+function currentServers(summary) {
+    return summary.accounts.flatMap(account => account.servers.map(server => ({
+        email: account.email,
+        id: server.id,
+        expiry: server.newExpiry ?? server.expiry ?? server.oldExpiry ?? null,
+    })))
+}
+
+function firstError(summary) {
+    if (summary.error) return summary.error
+    for (const account of summary.accounts) {
+        if (account.error) return `${account.email}: ${account.error}`
+        const server = account.servers.find(server => server.status === 'failure')
+        if (server) return `${account.email} VPS ${server.id} [${server.stage}]: ${server.error}`
+    }
+    return null
+}
+
+// 重新计算剩余天数，找出最近的到期日
+function withDaysLeft(status, now = Date.now()) {
+    const servers = status.servers.map(server => ({ ...server, daysLeft: daysUntil(server.expiry, now) }))
+    const nextExpiry = [...servers].sort((a, b) => a.expiry.localeCompare(b.expiry))[0] ?? null
+    return { ...status, nextExpiry, servers }
+}
+
+/**
+ * 根据子命令的结果更新 <dir>/status.json 和 <dir>/calendar.ics
+ * 保留之前记录的最后一次成功续期和最后一次错误；本次没有读到VPS的账号沿用之前的到期日
+ */
+export async function publishStatus(command, summary, { dir = statusDir, windowDays = Number(process.env.RENEW_WINDOW_DAYS || DEFAULT_WINDOW_DAYS), now = new Date() } = {}) {
+    const previous = await readStatus(dir) ?? {}
+    const time = now.toISOString()
+    const seen = new Set(summary.accounts.filter(account => account.servers.length).map(account => account.email))
+    const servers = [...(previous.servers ?? []).filter(server => !seen.has(server.email)), ...currentServers(summary)]
+        .filter(server => server.expiry)
+        .map(({ email, id, expiry }) => ({ email, id, expiry }))
+    const renewed = summary.accounts.flatMap(account => account.servers
+        .filter(server => server.status === 'success' && server.newExpiry !== server.oldExpiry)
+        .map(server => ({ time, email: account.email, vpsId: server.id, oldExpiry: server.oldExpiry, newExpiry: server.newExpiry })))
+    const error = firstError(summary)
+    const status = withDaysLeft({
+        updated: time,
+        lastRun: { time, command, status: summary.status },
+        lastSuccessfulRenewal: renewed.at(-1) ?? previous.lastSuccessfulRenewal ?? null,
+        lastError: error ? { time, command, message: error } : previous.lastError ?? null,
+        servers,
+    }, now.getTime())
+    await mkdir(dir, { recursive: true })
+    await writeFile(join(dir, 'status.json'), JSON.stringify(status, null, 2) + '\n')
+    await writeFile(join(dir, 'calendar.ics'), buildCalendar(servers, { windowDays, now }))
+    return status
+}
+
+/**
+ * 健康检查：最后一次运行成功并且没有已过期的VPS
+ */
+export function checkHealth(status, now = Date.now()) {
+    if (!status) return { ok: false, reason: 'No run recorded yet' }
+    const { lastRun, nextExpiry } = withDaysLeft(status, now)
+    if (lastRun.status !== 'success') return { ok: false, reason: `Last ${lastRun.command} run at ${lastRun.time} failed` }
+    if (nextExpiry && nextExpiry.daysLeft < 0) return { ok: false, reason: `VPS ${nextExpiry.id} expired on ${nextExpiry.expiry}` }
+    return { ok: true, reason: null }
+}
+
+/**
+ * 提供 /status.json、/calendar.ics 和 /health（不健康时返回 503），每次请求都重新读取文件
+ */
+export function createStatusServer(dir = statusDir) {
+    return http.createServer(async (req, res) => {
+        const send = (status, type, body) => {
+            res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-cache' })
+            res.end(body)
+        }
+        try {
+            const { pathname } = new URL(req.url, 'http://localhost')
+            const status = await readStatus(dir)
+            if (pathname === '/status.json') {
+                if (!status) return send(404, 'application/json', JSON.stringify({ error: 'No run recorded yet' }))
+                return send(200, 'application/json', JSON.stringify({ ...withDaysLeft(status), health: checkHealth(status) }, null, 2))
+            }
+            if (pathname === '/calendar.ics') {
+                return send(200, 'text/calendar; charset=utf-8', await readFile(join(dir, 'calendar.ics'), 'utf8').catch(() => buildCalendar([])))
+            }
+            if (pathname === '/health') {
+                const health = checkHealth(status)
+                return send(health.ok ? 200 : 503, 'application/json', JSON.stringify(health))
+            }
+            send(404, 'text/plain', 'Not Found')
+        } catch (e) {
+            send(500, 'text/plain', String(e))
+        }
+    })
+}
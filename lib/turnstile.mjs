@@ -0,0 +1,38 @@
+import { resolve } from 'node:path'
+import { pathToFileURL } from 'node:url'
+import core from './core.js'
+
+const { SELECTORS } = core
+
+/**
+ * 加载 TURNSTILE_PROVIDER 指向的令牌提供模块
+ * 模块默认导出 async ({ sitekey, url, page }) => token，或带 getToken 方法的对象
+ */
+export async function loadTurnstileProvider(path = process.env.TURNSTILE_PROVIDER) {
+    if (!path) return null
+    const { default: provider } = await import(pathToFileURL(resolve(path)))
+    return typeof provider === 'function' ? provider : provider.getToken.bind(provider)
+}
+
+/**
+ * 检测 Turnstile 组件并等待令牌，超时后尝试向 provider 获取令牌
+ * 返回 { widget: 是否有组件, source: 'widget' | 'provider' | null }
+ */
+export async function waitForTurnstile(page, { timeout = 15000, provider = null } = {}) {
+    if (!(await page.$(SELECTORS.turnstile))) return { widget: false, source: null }
+    try {
+        await page.waitForFunction(selector => document.querySelector(selector)?.value, { timeout }, SELECTORS.turnstileResponse)
+        return { widget: true, source: 'widget' }
+    } catch (e) {
+        if (e.name !== 'TimeoutError') throw e
+    }
+    if (provider) {
+        const sitekey = await page.$eval(SELECTORS.turnstile, widget => widget.dataset.sitekey ?? null)
+        const token = await provider({ sitekey, url: page.url(), page })
+        if (token) {
+            await page.$eval(SELECTORS.turnstileResponse, (input, token) => input.setAttribute('value', token), token)
+            return { widget: true, source: 'provider' }
+        }
+    }
+    return { widget: true, source: null }
+}
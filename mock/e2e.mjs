@@ -0,0 +1,360 @@
+/*
+ * 端到端测试：在模拟面板上运行 main.mjs、reminder.mjs 和油猴脚本，不访问外网
+ * node mock/e2e.mjs
+ */
+import assert from 'node:assert/strict'
+import { execFile } from 'node:child_process'
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { promisify } from 'node:util'
+import { setTimeout } from 'node:timers/promises'
+import puppeteer from 'puppeteer'
+import core from '../lib/core.js'
+import { createMockServer } from './server.mjs'
+
+const root = new URL('../', import.meta.url)
+// 每次运行的工作目录都建在这里，测试结束后删除
+const tmp = await mkdtemp(join(tmpdir(), 'xvps-e2e-'))
+const mock = createMockServer()
+await mock.listen()
+
+// 在临时目录中运行脚本，返回工作目录和 stdout
+async function exec([script, ...args], env = {}) {
+    const cwd = await mkdtemp(join(tmp, 'run-'))
+    const child = promisify(execFile)(process.execPath, [new URL(script, root).pathname, ...args], {
+        cwd,
+        timeout: 120000,
+        env: {
+            ...process.env,
+            XSERVER_ORIGIN: mock.origin,
+            EMAIL: mock.state.email,
+            PASSWORD: mock.state.password,
+            CAPTCHA_SOLVERS: 'self-hosted',
+            CAPTCHA_SOLVER_URL: `${mock.origin}/captcha`,
+            WEBHOOK_URL: `${mock.origin}/webhook`,
+            ...env,
+        },
+    })
+    const { stdout, stderr } = await child.catch(e => e)
+    process.stdout.write(stdout)
+    process.stderr.write(stderr)
+    return { cwd, stdout }
+}
+
+// 在临时目录中运行脚本，返回 result.json（如果有）
+async function run(script, env = {}) {
+    const { cwd } = await exec([script], env)
+    return JSON.parse(await readFile(join(cwd, 'result.json'), 'utf8').catch(() => 'null'))
+}
+
+// 每秒检查一次 condition，最多等待 seconds 秒
+async function waitFor(condition, seconds = 60) {
+    for (let i = 0; i < seconds; i++) {
+        if (await condition()) return true
+        await setTimeout(1000)
+    }
+    return false
+}
+
+// 在同一个浏览器中打开注入了 lib/core.js 和 renew.user.js 的标签页，
+// GM_* 用所有标签页共用的 localStorage 模拟，GM_getTab / GM_getTabs 和 Tampermonkey 一样只保存在内存中（tabs）
+// 和 Tampermonkey 一样只注入到 @match 匹配的页面（换成模拟面板的域名）
+async function withUserscript(values, fn) {
+    const core = await readFile(new URL('lib/core.js', root), 'utf8')
+    const userscript = await readFile(new URL('renew.user.js', root), 'utf8')
+    const matches = [...userscript.matchAll(/^\/\/ @match\s+https:\/\/secure\.xserver\.ne\.jp(\S+)$/gm)]
+        .map(([, path]) => `^${path.replace(/[.?+^$()[\]{}|\\]/g, '\\$&').replace(/\*/g, '.*')}$`)
+    const browser = await puppeteer.launch({ args: ['--no-sandbox', '--disable-setuid-sandbox'] })
+    const tabs = {}
+    async function open(path) {
+        const page = await browser.newPage()
+        const tab = Object.keys(tabs).length + 1
+        tabs[tab] = {}
+        page.on('console', message => console.log(`[userscript ${tab}]`, message.text()))
+        await page.exposeFunction('GM__tabs', (action, value) => {
+            if (action === 'save') tabs[tab] = value
+            return action === 'all' ? tabs : tabs[tab]
+        })
+        await page.evaluateOnNewDocument((core, userscript, values, matches) => {
+            if (location.protocol !== 'http:') return
+            if (!matches.some(match => new RegExp(match).test(location.pathname + location.search))) return
+            const key = name => `GM_${name}`
+            if (localStorage.getItem('GM__seeded') === null) {
+                for (const [name, value] of Object.entries(values)) localStorage.setItem(key(name), JSON.stringify(value))
+                localStorage.setItem('GM__seeded', '1')
+            }
+            window.unsafeWindow = window
+            window.GM_getValue = (name, defaultValue) => JSON.parse(localStorage.getItem(key(name)) ?? 'null') ?? defaultValue
+            window.GM_setValue = (name, value) => localStorage.setItem(key(name), JSON.stringify(value))
+            window.GM_deleteValue = name => localStorage.removeItem(key(name))
+            window.GM_getTab = callback => GM__tabs('get').then(callback)
+            window.GM_getTabs = callback => GM__tabs('all').then(callback)
+            window.GM_saveTab = tab => GM__tabs('save', tab)
+            window.GM_addStyle = css => document.addEventListener('DOMContentLoaded', () => {
+                document.head.appendChild(Object.assign(document.createElement('style'), { textContent: css }))
+            })
+            ;(0, eval)(core)
+            document.addEventListener('DOMContentLoaded', () => (0, eval)(userscript))
+        }, core, userscript, values, matches)
+        await page.goto(`${mock.origin}${path}`)
+        return page
+    }
+    try {
+        return await fn({ open, tabs })
+    } finally {
+        await browser.close()
+    }
+}
+
+// 明文凭据迁移时要求设置口令
+async function enterPassphrase(page) {
+    const passphrase = await page.waitForSelector('#vps-renewal-passphrase input')
+    await passphrase.type('e2e-passphrase')
+    await passphrase.press('Enter')
+}
+
+// 油猴脚本最后一次运行的结果
+const lastRun = page => page.evaluate(() => JSON.parse(localStorage.getItem('GM_history') ?? '[]').at(-1)?.result ?? null)
+
+const credentials = () => ({ memberid: mock.state.email, user_password: mock.state.password, captchaEndpoint: `${mock.origin}/captcha` })
+
+const tests = {
+    async 'main.mjs renews a free VPS due tomorrow'() {
+        const [{ expiry }] = mock.state.servers
+        const result = await run('main.mjs')
+        assert.equal(result.status, 'success')
+        const [server] = result.accounts[0].servers
+        assert.equal(server.oldExpiry, expiry)
+        assert.equal(server.newExpiry, mock.state.servers[0].expiry)
+        assert.equal(mock.state.renewals.length, 1)
+        assert.equal(mock.state.notifications[0].type, 'renewed')
+    },
+    async 'main.mjs retries a rejected captcha'() {
+        mock.reset({ wrongCaptchas: 1 })
+        const result = await run('main.mjs')
+        assert.equal(result.status, 'success')
+        assert.equal(result.accounts[0].servers[0].captcha.attempts, 2)
+        assert.deepEqual(mock.state.submissions.map(submission => submission.accepted), [false, true])
+    },
+    async 'main.mjs skips a VPS outside the renewal window'() {
+        mock.reset({ servers: [{ id: '1', name: 'vps-mock', expiry: '2099-01-01' }] })
+        const result = await run('main.mjs')
+        assert.equal(result.status, 'success')
+        assert.equal(result.accounts[0].servers[0].status, 'skipped')
+        assert.equal(mock.state.submissions.length, 0)
+    },
+    async 'main.mjs --dry-run stops before submitting'() {
+        mock.reset({ servers: [{ id: '1', name: 'vps-mock', expiry: '2099-01-01' }, { id: '2', name: 'vps-mock-2', expiry: core.tokyoDate(1) }] })
+        const result = await run('main.mjs', { DRY_RUN: '1' })
+        assert.equal(result.status, 'success')
+        assert.deepEqual(result.accounts[0].servers.map(server => [server.status, server.plan]), [['dry-run', 'skip'], ['dry-run', 'renew']])
+        // 不在续期窗口内时面板没有续期申请按钮，演练模式在详情页面停止
+        assert.match(result.accounts[0].servers[0].message, /^Would skip/)
+        assert.equal(mock.state.submissions.length, 0)
+        assert.equal(mock.state.notifications.length, 0)
+    },
+    async 'main.mjs submits without a token when Turnstile never completes'() {
+        mock.reset({ turnstileDelay: null })
+        const result = await run('main.mjs', { TURNSTILE_TIMEOUT: '1000', TURNSTILE_RETRIES: '1' })
+        assert.equal(result.status, 'success')
+        assert.deepEqual(result.accounts[0].servers[0].turnstile, { widget: true, source: null, retries: 1 })
+        assert.equal(mock.state.submissions[0].turnstileToken, null)
+    },
+    async 'main.mjs uses the Turnstile token provider'() {
+        mock.reset({ turnstileDelay: null })
+        const provider = join(tmp, 'provider.mjs')
+        await writeFile(provider, `export default async ({ sitekey }) => 'provided-' + sitekey\n`)
+        const result = await run('main.mjs', { TURNSTILE_TIMEOUT: '1000', TURNSTILE_PROVIDER: provider })
+        assert.equal(result.status, 'success')
+        assert.equal(result.accounts[0].servers[0].turnstile.source, 'provider')
+        assert.equal(mock.state.submissions[0].turnstileToken, 'provided-mock')
+    },
+    async 'main.mjs resumes from the dashboard when a stage keeps failing'() {
+        mock.reset({ failures: { '/xapanel/xvps/server/detail': 2 } })
+        const result = await run('main.mjs', { STAGE_POLICIES: JSON.stringify({ detail: { timeout: 2000, retries: 1, delay: 100 } }) })
+        assert.equal(result.status, 'success')
+        assert.equal(result.accounts[0].servers[0].resumes, 1)
+        assert.equal(mock.state.renewals.length, 1)
+    },
+    async 'main.mjs reuses a saved session and logs in again after it expires'() {
+        mock.reset({ servers: [{ id: '1', name: 'vps-mock', expiry: '2099-01-01' }] })
+        const env = { SESSION_SECRET: 'e2e-secret', SESSION_DIR: await mkdtemp(join(tmp, 'session-')) }
+        await run('main.mjs', env)
+        await run('main.mjs', env)
+        assert.equal(mock.state.logins, 1)
+        mock.reset({ servers: [{ id: '1', name: 'vps-mock', expiry: '2099-01-01' }] })
+        const result = await run('main.mjs', env)
+        assert.equal(result.status, 'success')
+        assert.equal(mock.state.logins, 1)
+    },
+    async 'reminder.mjs notifies when a VPS expires tomorrow'() {
+        mock.reset()
+        await run('reminder.mjs')
+        assert.equal(mock.state.notifications.length, 1)
+        assert.equal(mock.state.notifications[0].type, 'expiring')
+        assert.equal(mock.state.notifications[0].vpsId, '1')
+    },
+    async 'cli.mjs status prints every free VPS as JSON and publishes the calendar'() {
+        mock.reset({ servers: [{ id: '1', name: 'vps-mock', expiry: '2099-01-01' }, { id: '2', name: 'vps-mock-2', expiry: core.tokyoDate(1) }] })
+        const { cwd, stdout } = await exec(['cli.mjs', 'status', '--format', 'json', '--no-recording'])
+        const summary = JSON.parse(stdout)
+        assert.equal(summary.status, 'success')
+        assert.deepEqual(summary.accounts[0].servers.map(server => [server.id, server.expiry, server.state]), [['1', '2099-01-01', 'not-due'], ['2', core.tokyoDate(1), 'due']])
+        assert.equal(mock.state.notifications.length, 0)
+        assert.equal(mock.state.submissions.length, 0)
+        const status = JSON.parse(await readFile(join(cwd, 'status', 'status.json'), 'utf8'))
+        assert.deepEqual([status.lastRun.status, status.nextExpiry.id, status.nextExpiry.daysLeft], ['success', '2', 1])
+        const calendar = await readFile(join(cwd, 'status', 'calendar.ics'), 'utf8')
+        assert.match(calendar, new RegExp(`DTSTART;VALUE=DATE:${core.tokyoDate(1).replace(/-/g, '')}`))
+    },
+    async 'main.mjs reports wrong credentials without retrying'() {
+        mock.reset()
+        const result = await run('main.mjs', { PASSWORD: 'wrong-password' })
+        assert.equal(result.status, 'failure')
+        assert.equal(result.accounts[0].code, 'LOGIN_BAD_CREDENTIALS')
+        assert.equal(mock.state.logins, 0)
+        assert.deepEqual(mock.state.notifications.map(notification => [notification.type, notification.code]), [['login-failed', 'LOGIN_BAD_CREDENTIALS']])
+    },
+    async 'reminder.mjs reports a locked account'() {
+        mock.reset({ loginMode: 'locked' })
+        await run('reminder.mjs')
+        assert.deepEqual(mock.state.notifications.map(notification => [notification.type, notification.code]), [['login-failed', 'LOGIN_ACCOUNT_LOCKED']])
+    },
+    async 'cli.mjs status reports a verification step and maintenance'() {
+        for (const [loginMode, code] of [['verification', 'LOGIN_VERIFICATION_REQUIRED'], ['maintenance', 'LOGIN_MAINTENANCE']]) {
+            mock.reset({ loginMode })
+            const { stdout } = await exec(['cli.mjs', 'status', '--format', 'json', '--no-recording'])
+            assert.equal(JSON.parse(stdout).accounts[0].code, code)
+        }
+    },
+    async 'cli.mjs check finds every anchor without submitting and names the one that broke'() {
+        mock.reset()
+        const { stdout } = await exec(['cli.mjs', 'check', '--format', 'json', '--no-recording'])
+        const summary = JSON.parse(stdout)
+        assert.equal(summary.status, 'success')
+        assert.deepEqual(summary.anchors.filter(anchor => !anchor.optional && !anchor.ok).map(anchor => anchor.name), [])
+        assert.equal(mock.state.submissions.length, 0)
+        assert.equal(mock.state.notifications.length, 0)
+
+        mock.reset({ rewrites: [['contract__term', 'contract-date'], ['更新する', '延長する']] })
+        const broken = JSON.parse((await exec(['cli.mjs', 'check', '--format', 'json', '--no-recording'])).stdout)
+        assert.equal(broken.status, 'failure')
+        assert.deepEqual(broken.anchors.filter(anchor => anchor.ok === false).map(anchor => anchor.name), ['expiry'])
+        assert.deepEqual(broken.anchors.filter(anchor => anchor.fallback).map(anchor => [anchor.name, anchor.selector]), [['renewButton', core.ANCHORS.renewButton.candidates[1]]])
+        const [notification] = mock.state.notifications
+        assert.equal(notification.type, 'page-changed')
+        assert.match(notification.subject, /expiry, renewButton/)
+    },
+    async 'renew.user.js renews a free VPS due tomorrow'() {
+        mock.reset()
+        await withUserscript(credentials(), async ({ open }) => {
+            await enterPassphrase(await open('/xapanel/login/xvps/'))
+            await waitFor(() => mock.state.renewals.length)
+        })
+        assert.equal(mock.state.renewals.length, 1)
+        assert.equal(mock.state.submissions[0].turnstileToken, 'mock-turnstile-token')
+        assert.equal(mock.state.logins, 1)
+    },
+    async 'renew.user.js asks for the passphrase once per browser session and keeps the key out of storage'() {
+        const servers = [{ id: '1', name: 'vps-mock', expiry: '2099-01-01' }]
+        mock.reset({ servers })
+        await withUserscript(credentials(), async ({ open, tabs }) => {
+            const first = await open('/xapanel/login/xvps/')
+            await enterPassphrase(first)
+            assert.ok(await waitFor(async () => await lastRun(first) === 'skipped'))
+            // 面板会话失效后，新标签页不弹出口令输入框也能自动登录
+            mock.reset({ servers })
+            const second = await open('/xapanel/login/xvps/')
+            assert.ok(await waitFor(() => mock.state.logins === 1, 30))
+            // 密钥只在标签页会话中，GM 存储和 Cookie 中都没有
+            const [key] = Object.values(tabs).map(tab => tab.vaultKey?.key).filter(Boolean)
+            assert.ok(key)
+            const { storage, cookie } = await second.evaluate(() => ({ storage: JSON.stringify({ ...localStorage }), cookie: document.cookie }))
+            assert.ok(!storage.includes(key))
+            assert.ok(!storage.includes('GM_sessionKey'))
+            assert.doesNotMatch(cookie, /vps_renewal/)
+        })
+    },
+    async 'renew.user.js starts a due check from one VPS tab at a time and leaves other panel pages alone'() {
+        const servers = [{ id: '1', name: 'vps-mock', expiry: '2099-01-01' }]
+        mock.reset({ servers })
+        await withUserscript(credentials(), async ({ open }) => {
+            const first = await open('/xapanel/login/xvps/')
+            await enterPassphrase(first)
+            assert.ok(await waitFor(async () => await lastRun(first) === 'skipped'))
+            // 所有标签页共用 localStorage 中的 GM 存储，通过第一个标签页读写
+            const setValue = (name, value) => first.evaluate((name, value) => localStorage.setItem(`GM_${name}`, JSON.stringify(value)), name, value)
+            const getValue = name => first.evaluate(name => JSON.parse(localStorage.getItem(`GM_${name}`)), name)
+            await setValue('schedule', { lastCheck: '2000-01-01T00:00:00.000Z', expiry: '2099-01-01' })
+
+            // 其他产品的页面上不运行，另一个标签页持有运行锁时不跳转
+            const other = await open('/xapanel/login/xserver/')
+            await setValue('runLock', { owner: 'another-tab', expires: Date.now() + 600000 })
+            const second = await open('/xapanel/xvps/server/detail?id=1')
+            await setTimeout(3000)
+            assert.equal(new URL(other.url()).pathname, '/xapanel/login/xserver/')
+            assert.equal(await other.$('#vps-renewal-settings-toggle'), null)
+            assert.equal(new URL(second.url()).pathname, '/xapanel/xvps/server/detail')
+            assert.equal((await getValue('schedule')).lastCheck, '2000-01-01T00:00:00.000Z')
+
+            // 锁释放后，VPS 页面跳转到管理主页完成检查
+            await first.evaluate(() => localStorage.removeItem('GM_runLock'))
+            await second.reload()
+            assert.ok(await waitFor(async () => (await getValue('schedule')).lastCheck > '2000-01-01', 30))
+            assert.equal(new URL(second.url()).pathname, '/xapanel/xvps/index')
+            assert.equal(new URL(other.url()).pathname, '/xapanel/login/xserver/')
+        })
+    },
+    async 'renew.user.js records the run history and exports it as JSON and CSV'() {
+        mock.reset()
+        const previous = { date: '2026-10-01T00:00:00.000Z', stage: 'captcha', captcha: '123456', captchaAccepted: false, result: 'failure', message: '認証コード, "retry"' }
+        await withUserscript({ ...credentials(), history: [previous] }, async ({ open }) => {
+            await enterPassphrase(await open('/xapanel/login/xvps/'))
+            assert.ok(await waitFor(() => mock.state.renewals.length))
+            // 在另一个标签页中打开设置面板导出，下载链接的内容在页面中读取
+            const page = await open('/xapanel/xvps/index')
+            assert.ok(await waitFor(async () => await lastRun(page) === 'skipped', 30))
+            const download = action => page.evaluate(async action => {
+                const links = []
+                HTMLAnchorElement.prototype.click = function () {
+                    links.push({ name: this.download, href: this.href })
+                }
+                document.querySelector(`#vps-renewal-panel [data-action="${action}"]`).click()
+                return { name: links[0].name, text: await (await fetch(links[0].href)).text() }
+            }, action)
+
+            const json = await download('export-json')
+            assert.match(json.name, /^vps-renewal-history-\d{4}-\d{2}-\d{2}\.json$/)
+            const history = JSON.parse(json.text)
+            assert.deepEqual(history[0], previous)
+            const renewed = history.find(run => run.result === 'success')
+            assert.deepEqual([renewed.captcha, renewed.captchaAccepted], [mock.state.submissions[0].code, true])
+            assert.equal(history.at(-1).result, 'skipped')
+
+            const csv = await download('export-csv')
+            assert.match(csv.name, /\.csv$/)
+            const lines = csv.text.split('\n')
+            assert.equal(lines[0], 'date,stage,captcha,captchaAccepted,result,message')
+            assert.equal(lines[1], '"2026-10-01T00:00:00.000Z","captcha","123456","false","failure","認証コード, ""retry"""')
+            assert.equal(lines.length, history.length + 1)
+        })
+    },
+}
+
+let failed = 0
+try {
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test()
+            console.log(`ok - ${name}`)
+        } catch (e) {
+            failed++
+            console.error(`not ok - ${name}\n`, e)
+        }
+    }
+} finally {
+    await mock.close()
+    await rm(tmp, { recursive: true, force: true })
+}
+process.exitCode = failed ? 1 : 0
@@ -0,0 +1,197 @@
+import http from 'node:http'
+import { readFile } from 'node:fs/promises'
+import { fileURLToPath } from 'node:url'
+import core from '../lib/core.js'
+
+const { DEFAULT_WINDOW_DAYS, daysUntil, tokyoDate } = core
+
+// 1x1 PNG，模拟验证码图片
+const CAPTCHA_IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII='
+const pages = new URL('./pages/', import.meta.url)
+
+async function render(name, values = {}) {
+    const template = await readFile(new URL(`${name}.html`, pages), 'utf8')
+    return template.replace(/{{(\w+)}}/g, (_, key) => values[key] ?? '')
+}
+
+async function renderPage(title, name, values) {
+    return render('layout', { title, content: await render(name, values) })
+}
+
+function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10)
+}
+
+async function readForm(req) {
+    let body = ''
+    for await (const chunk of req) body += chunk
+    return req.headers['content-type']?.includes('json') ? JSON.parse(body || '{}') : Object.fromEntries(new URLSearchParams(body))
+}
+
+// Xserver 只允许在到期前一天起续期，之前打开续期申请页面只显示提示
+const canExtend = server => daysUntil(server.expiry) <= DEFAULT_WINDOW_DAYS
+
+/**
+ * 模拟 Xserver 面板：登录、VPS管理主页、详情、续期申请、验证码确认和完成页面（pages/ 中按面板的页面结构编写，不含个人信息），
+ * 以及假的验证码识别接口 /captcha、记录通知的 /webhook 和查看状态的 /__state
+ *
+ * options.servers: [{ id, name, expiry }]，默认一台明天到期的免费VPS
+ * options.wrongCaptchas: /captcha 前几次故意返回错误的验证码
+ * options.turnstileDelay: 页面上 Turnstile 令牌出现前的毫秒数，null 表示永远不出现
+ * options.failures: { [pathname]: 次数 }，这些页面前几次返回 500
+ * options.loginMode: ok | locked | verification | maintenance，verification 时正确的认证码为 state.verificationCode
+ * options.rewrites: [[search, replace]]，替换所有 HTML 页面中的文本，模拟面板改版
+ */
+export function createMockServer(options = {}) {
+    const state = {}
+    function reset({ email = 'test@example.com', password = 'password', servers, wrongCaptchas = 0, turnstileDelay = 500, failures = {}, loginMode = 'ok', rewrites = [] } = {}) {
+        Object.assign(state, {
+            email,
+            password,
+            servers: servers ?? [{ id: '1', name: 'vps-mock', expiry: tokyoDate(1) }],
+            wrongCaptchas,
+            turnstileDelay,
+            failures: { ...failures },
+            loginMode,
+            rewrites,
+            verificationCode: String(Math.floor(100000 + Math.random() * 900000)),
+            // 每次 reset 换一个会话，之前保存的 Cookie 随之失效
+            session: Math.random().toString(36).slice(2),
+            code: null,
+            logins: 0,
+            submissions: [],
+            renewals: [],
+            notifications: [],
+        })
+    }
+    reset(options)
+
+    const newCode = () => (state.code = String(Math.floor(100000 + Math.random() * 900000)))
+    const findServer = id => state.servers.find(server => server.id === id)
+
+    async function captchaPage(server, error = '') {
+        newCode()
+        const turnstile = state.turnstileDelay === null ? '' : `<script>
+    setTimeout(() => document.querySelector('[name=cf-turnstile-response]').setAttribute('value', 'mock-turnstile-token'), ${state.turnstileDelay});
+</script>`
+        return renderPage('無料VPS 期限延長', 'extend-conf', { id: server.id, name: server.name, image: CAPTCHA_IMAGE, turnstile, error })
+    }
+
+    async function route(req, res) {
+        const url = new URL(req.url, 'http://localhost')
+        const loggedIn = req.headers.cookie?.split(/;\s*/).includes(`session=${state.session}`)
+        const send = (body, status = 200, headers = {}) => {
+            headers = { 'Content-Type': 'text/html; charset=utf-8', ...headers }
+            if (headers['Content-Type'].startsWith('text/html')) {
+                body = state.rewrites.reduce((body, [search, replace]) => body.replaceAll(search, replace), body)
+            }
+            res.writeHead(status, headers)
+            res.end(body)
+        }
+        const redirect = location => send('', 302, { Location: location })
+        const json = body => send(JSON.stringify(body), 200, { 'Content-Type': 'application/json' })
+
+        if (url.pathname === '/__state') return json(state)
+        if (url.pathname === '/captcha' && req.method === 'POST') {
+            await readForm(req)
+            if (state.wrongCaptchas > 0) {
+                state.wrongCaptchas--
+                return send('000000', 200, { 'Content-Type': 'text/plain' })
+            }
+            return send(state.code ?? '', 200, { 'Content-Type': 'text/plain' })
+        }
+        if (url.pathname === '/webhook' && req.method === 'POST') {
+            state.notifications.push(await readForm(req))
+            return json({ ok: true })
+        }
+
+        if (state.loginMode === 'maintenance' && url.pathname.startsWith('/xapanel')) {
+            return send(await renderPage('メンテナンス中', 'maintenance'), 503)
+        }
+        const signedIn = () => {
+            state.logins++
+            return send('', 302, { Location: '/xapanel/xvps/index', 'Set-Cookie': `session=${state.session}; Path=/` })
+        }
+        if (url.pathname === '/xapanel/login/xvps/verify' && req.method === 'POST') {
+            if ((await readForm(req)).otp === state.verificationCode) return signedIn()
+            return send(await renderPage('認証コード入力', 'verification', { error: '<p class="errorMessage">認証コードが正しくありません。</p>' }))
+        }
+        if (url.pathname.startsWith('/xapanel/login/xvps')) {
+            if (req.method === 'POST') {
+                const form = await readForm(req)
+                if (state.loginMode === 'locked') {
+                    return send(await renderPage('ログイン', 'login', { error: '<p class="errorMessage">アカウントがロックされています。</p>' }))
+                }
+                if (form.memberid === state.email && form.user_password === state.password) {
+                    if (state.loginMode === 'verification') return send(await renderPage('認証コード入力', 'verification'))
+                    return signedIn()
+                }
+                return send(await renderPage('ログイン', 'login', { error: '<p class="errorMessage">ログイン情報が正しくありません。</p>' }))
+            }
+            return send(await renderPage('ログイン', 'login'))
+        }
+        if (!url.pathname.startsWith('/xapanel/xvps')) return send('Not Found', 404)
+        if (!loggedIn) return redirect('/xapanel/login/xvps/')
+        if (state.failures[url.pathname] > 0) {
+            state.failures[url.pathname]--
+            return send('Internal Server Error', 500)
+        }
+
+        if (url.pathname === '/xapanel/xvps/index') {
+            const rows = await Promise.all(state.servers.map(server => render('dashboard-row', server)))
+            return send(await renderPage('VPS管理', 'dashboard', { rows: rows.join('\n') }))
+        }
+        if (url.pathname === '/xapanel/xvps/server/detail') {
+            const server = findServer(url.searchParams.get('id'))
+            return server ? send(await renderPage('VPS詳細', 'detail', server)) : send('Not Found', 404)
+        }
+        if (url.pathname === '/xapanel/xvps/server/freevps/extend/index') {
+            const server = findServer(url.searchParams.get('id_vps'))
+            if (!server) return send('Not Found', 404)
+            return send(await renderPage('無料VPS 期限延長', canExtend(server) ? 'extend-index' : 'extend-index-unavailable', server))
+        }
+        if (url.pathname === '/xapanel/xvps/server/freevps/extend/conf' && req.method === 'POST') {
+            const server = findServer((await readForm(req)).id_vps)
+            if (!server) return send('Not Found', 404)
+            return send(canExtend(server) ? await captchaPage(server) : await renderPage('無料VPS 期限延長', 'extend-index-unavailable', server))
+        }
+        if (url.pathname === '/xapanel/xvps/server/freevps/extend/do' && req.method === 'POST') {
+            const form = await readForm(req)
+            const server = findServer(form.id_vps)
+            if (!server) return send('Not Found', 404)
+            const accepted = form.auth_code === state.code
+            state.submissions.push({ id: server.id, code: form.auth_code, accepted, turnstileToken: form['cf-turnstile-response'] || null })
+            if (!accepted) {
+                return send(await captchaPage(server, '<p class="errorMessage">認証コードが正しくありません。</p>'))
+            }
+            server.expiry = addDays(server.expiry, 2)
+            state.renewals.push({ id: server.id, expiry: server.expiry })
+            state.code = null
+            return send(await renderPage('無料VPS 期限延長 完了', 'extend-do', server))
+        }
+        return send('Not Found', 404)
+    }
+
+    const server = http.createServer((req, res) => route(req, res).catch(e => {
+        console.error(e)
+        res.writeHead(500)
+        res.end(String(e))
+    }))
+
+    return {
+        state,
+        reset,
+        get origin() {
+            return `http://127.0.0.1:${server.address().port}`
+        },
+        listen: (port = 0) => new Promise(resolve => server.listen(port, '127.0.0.1', resolve)),
+        close: () => new Promise(resolve => server.close(resolve)),
+    }
+}
+
+// 单独运行时启动服务器，便于手动调试：node mock/server.mjs [port]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const mock = createMockServer()
+    await mock.listen(Number(process.argv[2] || 0))
+    console.log(`Mock Xserver panel: ${mock.origin}/xapanel/login/xvps/ (test@example.com / password)`)
+}
@@ -0,0 +1,237 @@
+/*
+ * 不需要浏览器的测试：纯函数模块和油猴脚本的元数据
+ * node mock/unit.mjs
+ */
+import assert from 'node:assert/strict'
+import { execFile, spawn } from 'node:child_process'
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import http from 'node:http'
+import { join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { promisify } from 'node:util'
+import core from '../lib/core.js'
+import { accuracyReport, formatReport, loadAttempts } from '../lib/captcha-report.mjs'
+import { buildCalendar } from '../lib/calendar.mjs'
+import { checkHealth, createStatusServer, publishStatus } from '../lib/status.mjs'
+
+const root = new URL('../', import.meta.url)
+const tmp = await mkdtemp(join(tmpdir(), 'xvps-unit-'))
+// lib/logger.mjs 在加载时读取 RUN_LOG 和 ARTIFACTS_DIR
+process.env.RUN_LOG = join(tmp, 'run.jsonl')
+process.env.ARTIFACTS_DIR = join(tmp, 'artifacts')
+const { step } = await import('../lib/logger.mjs')
+
+// 用加载钩子模拟没有安装 puppeteer 的主机：node --import <noPuppeteer>
+const noPuppeteer = join(tmp, 'no-puppeteer.mjs')
+await writeFile(join(tmp, 'no-puppeteer-hooks.mjs'), `export async function resolve(specifier, context, next) {
+    if (specifier === 'puppeteer') throw Object.assign(new Error("Cannot find package 'puppeteer'"), { code: 'ERR_MODULE_NOT_FOUND' })
+    return next(specifier, context)
+}\n`)
+await writeFile(noPuppeteer, `import { register } from 'node:module'\nregister('./no-puppeteer-hooks.mjs', import.meta.url)\n`)
+const node = (args, options) => promisify(execFile)(process.execPath, ['--import', noPuppeteer, ...args], { timeout: 30000, ...options })
+
+const tests = {
+    async 'renew.user.js loads lib/core.js from the tag of its own version'() {
+        const userscript = await readFile(new URL('renew.user.js', root), 'utf8')
+        const version = userscript.match(/^\/\/ @version\s+(\S+)/m)[1]
+        const [require] = userscript.match(/^\/\/ @require\s+\S*lib\/core\.js$/m)
+        assert.match(require, new RegExp(`/v${version}/lib/core\\.js$`))
+        // 脚本从 XvpsCore 中取用的名称都必须存在
+        const names = userscript.match(/const \{([^}]+)\} = XvpsCore;/)[1].split(',').map(name => name.trim())
+        assert.deepEqual(names.filter(name => !(name in core)), [])
+    },
+    async 'step logs every step and saves a screenshot and the HTML when one fails'() {
+        // 只实现 step 用到的 Page 方法
+        const page = {
+            url: () => 'http://127.0.0.1/xapanel/xvps/index',
+            screenshot: ({ path }) => writeFile(path, 'png'),
+            content: async () => '<html>failed</html>',
+        }
+        assert.equal(await step(page, 'list servers', async () => 42, { vpsId: '1' }), 42)
+        await assert.rejects(step(page, 'click renew', async () => {
+            throw new Error('boom')
+        }, { vpsId: '1' }), /boom/)
+        const [ok, error] = (await readFile(process.env.RUN_LOG, 'utf8')).trim().split('\n').map(line => JSON.parse(line))
+        assert.deepEqual([ok.step, ok.outcome, ok.url, ok.vpsId], ['list servers', 'ok', page.url(), '1'])
+        assert.equal(typeof ok.durationMs, 'number')
+        assert.deepEqual([error.step, error.outcome, error.error, error.vpsId], ['click renew', 'error', 'boom', '1'])
+        assert.match(error.screenshot, /click-renew\.png$/)
+        assert.equal(await readFile(error.html, 'utf8'), '<html>failed</html>')
+        assert.equal((await readdir(process.env.ARTIFACTS_DIR)).length, 2)
+    },
+    async 'captcha-report reads both dataset formats and computes accuracy per period and solver'() {
+        const dir = join(tmp, 'captcha-attempts')
+        await mkdir(dir)
+        await writeFile(join(dir, 'attempts.jsonl'), [
+            { time: '2026-10-19T03:00:00.000Z', solver: 'hosted', accepted: true },
+            // 东京时间已是周一，但按 UTC 仍属于上一周
+            { time: '2026-10-25T23:00:00.000Z', solver: 'hosted', accepted: false },
+            { time: '2026-10-26T01:00:00.000Z', solver: 'local', accepted: true },
+        ].map(entry => JSON.stringify(entry) + '\n').join(''))
+        // 油猴脚本导出的 JSON 数组；没有结果的尝试不计入
+        const exported = join(tmp, 'userscript-captcha.json')
+        await writeFile(exported, JSON.stringify([
+            { time: '2026-10-20T00:00:00.000Z', accepted: true },
+            { time: '2026-10-26T02:00:00.000Z', solver: 'hosted', accepted: null },
+        ]))
+        const attempts = await loadAttempts([dir, exported])
+        assert.deepEqual(attempts.map(attempt => attempt.source), [dir, dir, dir, exported, exported])
+
+        const rows = accuracyReport(attempts)
+        assert.deepEqual(rows.map(({ period, solver, attempts, accepted, accuracy }) => [period, solver, attempts, accepted, accuracy]), [
+            ['2026-10-19', 'hosted', 2, 1, 0.5],
+            ['2026-10-19', 'unknown', 1, 1, 1],
+            ['2026-10-26', 'local', 1, 1, 1],
+            ['total', 'hosted', 2, 1, 0.5],
+            ['total', 'local', 1, 1, 1],
+            ['total', 'unknown', 1, 1, 1],
+        ])
+        assert.deepEqual(accuracyReport(attempts, { by: 'month' }).map(row => [row.period, row.solver]), [
+            ['2026-10', 'hosted'], ['2026-10', 'local'], ['2026-10', 'unknown'], ['total', 'hosted'], ['total', 'local'], ['total', 'unknown'],
+        ])
+        assert.throws(() => accuracyReport(attempts, { by: 'year' }), /Unknown period: year/)
+
+        const lines = formatReport(rows).split('\n')
+        assert.equal(lines.length, 7)
+        assert.match(lines[0], /^period\s+solver\s+attempts\s+accepted\s+accuracy$/)
+        assert.match(lines[1], /^2026-10-19\s+hosted\s+2\s+1\s+50\.0%$/)
+        // 数字列右对齐
+        assert.equal(new Set(lines.map(line => line.length)).size, 1)
+    },
+    async 'buildCalendar folds long lines and alarms when the renewal window opens'() {
+        const email = `${'renewal-notifications'.repeat(3)}@example.com`
+        const servers = [{ email, id: '1', expiry: '2026-10-20' }, { email, id: '2', expiry: null }]
+        const calendar = buildCalendar(servers, { windowDays: 1, now: new Date('2026-10-19T00:00:00.000Z') })
+        assert.ok(calendar.endsWith('END:VCALENDAR\r\n'))
+        const lines = calendar.split('\r\n').slice(0, -1)
+        assert.deepEqual(lines.filter(line => Buffer.byteLength(line) > 75), [])
+        const unfolded = calendar.replace(/\r\n /g, '').split('\r\n')
+        assert.equal(unfolded.filter(line => line === 'BEGIN:VEVENT').length, 1)
+        assert.ok(unfolded.includes('DTSTAMP:20261019T000000Z'))
+        assert.ok(unfolded.includes('DTSTART;VALUE=DATE:20261020'))
+        assert.ok(unfolded.includes('DTEND;VALUE=DATE:20261021'))
+        assert.ok(unfolded.includes(`DESCRIPTION:VPS 1 (${email}) expires on 2026-10-20. Renew it at ${core.URLS.login}`))
+        assert.ok(lines.some(line => line.startsWith(' ')))
+        // 提前 1 天的 9:00 即全天事件开始前 15 小时；窗口为 0 天时是当天 9:00
+        assert.ok(unfolded.includes('TRIGGER:-PT15H'))
+        assert.ok(buildCalendar(servers, { windowDays: 0 }).includes('TRIGGER:PT9H'))
+    },
+    async 'publishStatus keeps the last renewal and error across runs and checkHealth reports them'() {
+        const dir = join(tmp, 'status')
+        const at = time => ({ dir, windowDays: 1, now: new Date(time) })
+        await publishStatus('status', {
+            status: 'success',
+            accounts: [
+                { email: 'a@example.com', servers: [{ id: '1', expiry: '2026-10-20' }] },
+                { email: 'b@example.com', servers: [{ id: '2', expiry: '2026-10-30' }] },
+            ],
+        }, at('2026-10-19T00:00:00.000Z'))
+        // b 登录失败时沿用之前读到的到期日
+        const renewed = await publishStatus('renew', {
+            status: 'failure',
+            accounts: [
+                { email: 'a@example.com', servers: [{ id: '1', status: 'success', oldExpiry: '2026-10-20', newExpiry: '2026-10-22' }] },
+                { email: 'b@example.com', error: 'LOGIN_BAD_CREDENTIALS: wrong password', servers: [] },
+            ],
+        }, at('2026-10-19T01:00:00.000Z'))
+        assert.deepEqual(renewed.servers.map(server => [server.id, server.expiry, server.daysLeft]), [['2', '2026-10-30', 11], ['1', '2026-10-22', 3]])
+        assert.deepEqual([renewed.nextExpiry.id, renewed.lastSuccessfulRenewal.newExpiry], ['1', '2026-10-22'])
+        assert.equal(renewed.lastError.message, 'b@example.com: LOGIN_BAD_CREDENTIALS: wrong password')
+        assert.deepEqual(checkHealth(renewed, Date.parse('2026-10-19T01:00:00.000Z')), { ok: false, reason: 'Last renew run at 2026-10-19T01:00:00.000Z failed' })
+
+        const status = await publishStatus('status', {
+            status: 'success',
+            accounts: [{ email: 'b@example.com', servers: [{ id: '2', expiry: '2026-10-30' }] }],
+        }, at('2026-10-19T02:00:00.000Z'))
+        assert.deepEqual([status.lastRun.command, status.lastSuccessfulRenewal.vpsId, status.lastError.command], ['status', '1', 'renew'])
+        assert.deepEqual(checkHealth(status, Date.parse('2026-10-19T02:00:00.000Z')), { ok: true, reason: null })
+        assert.deepEqual(checkHealth(status, Date.parse('2026-10-23T00:00:00.000Z')), { ok: false, reason: 'VPS 1 expired on 2026-10-22' })
+        assert.equal(checkHealth(null).ok, false)
+        const calendar = await readFile(join(dir, 'calendar.ics'), 'utf8')
+        assert.equal(calendar.match(/BEGIN:VEVENT/g).length, 2)
+
+        const server = createStatusServer(dir)
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+        try {
+            const origin = `http://127.0.0.1:${server.address().port}`
+            // 服务器按当前时间判断是否过期
+            assert.equal((await fetch(`${origin}/health`)).status, checkHealth(status).ok ? 200 : 503)
+            assert.equal((await (await fetch(`${origin}/status.json`)).json()).nextExpiry.id, '1')
+            assert.match(await (await fetch(`${origin}/calendar.ics`)).text(), /^BEGIN:VCALENDAR/)
+            assert.equal((await fetch(`${origin}/unknown`)).status, 404)
+        } finally {
+            await new Promise(resolve => server.close(resolve))
+        }
+    },
+    async 'cli.mjs runs captcha-report and serve on a host without puppeteer'() {
+        const cli = fileURLToPath(new URL('cli.mjs', root))
+        await assert.rejects(node(['--input-type=module', '-e', 'await import("puppeteer")']), /Cannot find package 'puppeteer'/)
+        assert.match((await node([cli, '--help'])).stdout, /^Usage: node cli\.mjs/)
+        const dir = join(tmp, 'report')
+        await mkdir(dir)
+        await writeFile(join(dir, 'attempts.jsonl'), JSON.stringify({ time: '2026-10-19T03:00:00.000Z', solver: 'hosted', accepted: true }) + '\n')
+        const rows = JSON.parse((await node([cli, 'captcha-report', dir, '--format', 'json'])).stdout)
+        assert.deepEqual(rows.map(row => [row.period, row.solver, row.accuracy]), [['2026-10-19', 'hosted', 1], ['total', 'hosted', 1]])
+
+        const server = spawn(process.execPath, ['--import', noPuppeteer, cli, 'serve', '--port', '0'], { env: { ...process.env, STATUS_DIR: join(tmp, 'no-status') } })
+        try {
+            const origin = await new Promise((resolve, reject) => {
+                let stderr = ''
+                server.stderr.on('data', chunk => {
+                    stderr += chunk
+                    const match = stderr.match(/http:\/\/localhost:\d+/)
+                    if (match) resolve(match[0])
+                })
+                server.on('exit', code => reject(new Error(`serve exited with ${code}: ${stderr}`)))
+            })
+            const health = await fetch(`${origin}/health`)
+            assert.deepEqual([health.status, await health.json()], [503, { ok: false, reason: 'No run recorded yet' }])
+        } finally {
+            server.kill()
+        }
+    },
+    async 'main.mjs writes the result, publishes the error and notifies when the browser cannot start'() {
+        const cwd = join(tmp, 'main')
+        await mkdir(cwd)
+        const notifications = []
+        const webhook = http.createServer((req, res) => {
+            let body = ''
+            req.on('data', chunk => body += chunk)
+            req.on('end', () => {
+                notifications.push(JSON.parse(body))
+                res.end()
+            })
+        })
+        await new Promise(resolve => webhook.listen(0, '127.0.0.1', resolve))
+        try {
+            const env = { ...process.env, EMAIL: 'a@example.com', PASSWORD: 'password', WEBHOOK_URL: `http://127.0.0.1:${webhook.address().port}/`, RESULT_PATH: join(cwd, 'result.json'), STATUS_DIR: join(cwd, 'status') }
+            const error = await node([fileURLToPath(new URL('main.mjs', root))], { cwd, env }).catch(e => e)
+            assert.equal(error.code, 1)
+            const result = JSON.parse(await readFile(join(cwd, 'result.json'), 'utf8'))
+            assert.deepEqual([result.status, result.accounts], ['failure', []])
+            assert.match(result.error, /Cannot find package 'puppeteer'/)
+            const status = JSON.parse(await readFile(join(cwd, 'status', 'status.json'), 'utf8'))
+            assert.deepEqual([status.lastRun.status, status.lastError.command, status.lastError.message], ['failure', 'renew', result.error])
+            assert.deepEqual(notifications.map(notification => [notification.type, notification.command, notification.error]), [['run-failed', 'renew', result.error]])
+        } finally {
+            await new Promise(resolve => webhook.close(resolve))
+        }
+    },
+}
+
+let failed = 0
+try {
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test()
+            console.log(`ok - ${name}`)
+        } catch (e) {
+            failed++
+            console.error(`not ok - ${name}\n`, e)
+        }
+    }
+} finally {
+    await rm(tmp, { recursive: true, force: true })
+}
+process.exitCode = failed ? 1 : 0
@@ -2,15 +2,21 @@
 // @name         Extend VPS Expiration
 // @name:zh-CN   Xserver VPS 自动续期脚本
 // @namespace    http://tampermonkey.net/
-// @version      2025-07-21
+// @version      2026-10-19
 // @description  Automatically renews the expiration date of free Xserver VPS.
 // @description:zh-CN 自动为 Xserver 的免费 VPS 续期。
 // @author       You
-// @match        https://secure.xserver.ne.jp/xapanel*/xvps*
+// @match        https://secure.xserver.ne.jp/xapanel/xvps/*
+// @match        https://secure.xserver.ne.jp/xapanel/login/xvps/*
 // @icon         https://www.google.com/s2/favicons?sz=64&domain=xserver.ne.jp
 // @grant        GM_getValue
 // @grant        GM_setValue
 // @grant        GM_addStyle
+// @grant        GM_deleteValue
+// @grant        GM_getTab
+// @grant        GM_saveTab
+// @grant        GM_getTabs
+// @require      https://raw.githubusercontent.com/GitHub30/extend-vps-exp/v2026-10-19/lib/core.js
 // @updateURL    https://raw.githubusercontent.com/GitHub30/extend-vps-exp/refs/heads/main/renew.user.js
 // @downloadURL  https://raw.githubusercontent.com/GitHub30/extend-vps-exp/refs/heads/main/renew.user.js
 // @supportURL   https://github.com/GitHub30/extend-vps-exp
@@ -22,12 +28,24 @@
  * 1. 请将登录页面设为浏览器书签： https://secure.xserver.ne.jp/xapanel/login/xvps/
  * (Bookmark the login page)
  *
- * 2. 每天访问一次该书签。
- * (Visit the bookmark once every day.)
+ * 2. 每天访问一次该书签，或者保持任意一个 Xserver VPS 面板标签页打开：到了检查时间（默认每12小时，
+ * 或进入续期窗口的当天）脚本会自动走一遍续期流程，右下角显示距下次续期的倒计时。多个标签页不会同时运行，
+ * 有未提交表单的页面不会被跳转；脚本只在 VPS 面板和 VPS 登录页面上运行。
+ * (Visit the bookmark once every day, or keep any Xserver VPS panel tab open: when a check is due
+ * (every 12 hours by default, or on the first day of the renewal window) the script walks through
+ * the flow by itself and shows a countdown to the next renewal. Only one tab runs at a time, and pages
+ * with an unsaved form are never navigated away. The script only runs on the VPS panel and VPS login pages.)
  *
- * 3. (可选) 首次访问时，在登录页面输入您的邮箱和密码，脚本会自动保存。之后访问将自动填充和登录。
+ * 3. (可选) 首次访问时，在登录页面输入您的邮箱和密码，脚本会用您设置的口令加密保存 (AES-GCM)。
+ * 之后访问将自动填充和登录，每次启动浏览器后只需输入一次口令，所有标签页共用。解锁后的密钥只保存在内存中。
  * (Optional) On your first visit, enter your email and password on the login page.
- * The script will save them automatically for future auto-login.
+ * The script encrypts them with a passphrase you choose (AES-GCM, PBKDF2) for future auto-login;
+ * the passphrase is asked once per browser session and shared by all tabs, and the unlocked key is only kept in memory. Plain-text values from older versions are migrated.
+ *
+ * 4. (可选) 点击页面右下角的 ⚙ 按钮打开设置面板，可修改续期窗口、验证码识别服务、是否自动提交、
+ * 管理保存的凭据，并查看/导出运行历史 (JSON/CSV)。
+ * (Optional) Click the ⚙ button at the bottom right to open the settings panel: renewal window,
+ * captcha endpoint, auto-submit, saved credentials, and the run history with JSON/CSV export.
  *
  * =================================================================================================
  * 工作流程 (Workflow)
@@ -35,8 +53,9 @@
  * 1. 登录页面: 自动填充已保存的凭据并提交。
  * (Login Page: Auto-fills saved credentials and submits.)
  *
- * 2. VPS管理主页: 检查免费VPS的到期日期。如果明天到期，则跳转到续期页面。
- * (VPS Dashboard: Checks the expiration date. If it expires tomorrow, it navigates to the renewal page.)
+ * 2. VPS管理主页: 检查免费VPS的到期日期。如果剩余天数在续期窗口内（默认1天），则跳转到续期页面。
+ * (VPS Dashboard: Checks the expiration date. If it is within the renewal window (1 day by default),
+ * it navigates to the renewal page. The window is stored as `renewWindowDays` in the script storage.)
  *
  * 3. 续期申请页: 自动点击“确认”按钮，进入验证码页面。
  * (Renewal Page: Clicks the confirmation button to proceed to the CAPTCHA page.)
@@ -57,6 +76,9 @@
     // 给脚本日志添加统一前缀，便于识别
     const LOG_PREFIX = "[VPS续期脚本]";
 
+    // 选择器、到期日解析、验证码识别来自共享核心 lib/core.js
+    const { DEFAULT_WINDOW_DAYS, PATHS, LOGIN_CODES, queryAnchor, classifyLogin, tokyoDate, daysUntil, renewalStatus, createHttpSolver, solveCaptcha } = XvpsCore;
+
     let isRunning = false;
 
     GM_addStyle(`
@@ -72,6 +94,78 @@
             font-size: 12px;
             box-shadow: 0 0 10px rgba(0,0,0,0.5);
         }
+        #vps-renewal-settings-toggle {
+            position: fixed;
+            bottom: 10px;
+            right: 10px;
+            z-index: 10000;
+            width: 32px;
+            height: 32px;
+            border: none;
+            border-radius: 16px;
+            background: #333;
+            color: white;
+            font-size: 16px;
+            cursor: pointer;
+        }
+        #vps-renewal-countdown {
+            position: fixed;
+            bottom: 14px;
+            right: 50px;
+            z-index: 10000;
+            background: #333;
+            color: white;
+            padding: 4px 8px;
+            border-radius: 5px;
+            font-size: 12px;
+        }
+        #vps-renewal-panel {
+            position: fixed;
+            bottom: 50px;
+            right: 10px;
+            z-index: 10000;
+            width: 420px;
+            max-height: 70vh;
+            overflow: auto;
+            background: white;
+            color: #333;
+            padding: 12px;
+            border-radius: 5px;
+            font-size: 12px;
+            box-shadow: 0 0 10px rgba(0,0,0,0.5);
+        }
+        #vps-renewal-panel[hidden] {
+            display: none;
+        }
+        #vps-renewal-panel fieldset {
+            margin: 0 0 10px;
+        }
+        #vps-renewal-panel label {
+            display: block;
+            margin: 4px 0;
+        }
+        #vps-renewal-panel table {
+            width: 100%;
+            border-collapse: collapse;
+        }
+        #vps-renewal-passphrase {
+            position: fixed;
+            top: 30%;
+            left: 50%;
+            transform: translateX(-50%);
+            z-index: 10001;
+            background: white;
+            color: #333;
+            padding: 16px;
+            border-radius: 5px;
+            font-size: 13px;
+            box-shadow: 0 0 20px rgba(0,0,0,0.6);
+        }
+        #vps-renewal-panel td, #vps-renewal-panel th {
+            border-bottom: 1px solid #ddd;
+            padding: 2px 4px;
+            text-align: left;
+        }
     `);
 
     // 等待DOM加载完成
@@ -131,18 +225,566 @@
         }
     }
 
+    // 凭据加密：用 PBKDF2 (SHA-256) 从口令派生 AES-GCM 密钥。解锁后的密钥只保存在内存中：
+    // 标签页会话 (GM_saveTab) 中保存密钥，其他标签页通过 GM_getTabs 取用，浏览器关闭后消失
+    const PBKDF2_ITERATIONS = 310000;
+    const toBase64 = bytes => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    const fromBase64 = text => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    const getTab = () => new Promise(resolve => GM_getTab(resolve));
+    const getTabs = () => new Promise(resolve => GM_getTabs(resolve));
+    let unlocking = null;
+    // 本页面中已解锁的密钥 { key, salt, generation }，key 为不可导出的 CryptoKey
+    let vaultKey = null;
+
+    /**
+     * 锁定的次数：锁定时加一，之前解锁的密钥（包括其他标签页中的）随之失效
+     */
+    const vaultGeneration = () => GM_getValue('vaultGeneration', 0);
+
+    /**
+     * 查找已解锁的密钥 { key, salt }：先找本页面，再找各个标签页会话，没有时返回 null
+     */
+    async function findUnlockedKey(salt) {
+        const generation = vaultGeneration();
+        if (vaultKey && vaultKey.generation === generation && vaultKey.salt === salt) {
+            return vaultKey;
+        }
+        vaultKey = null;
+        const tab = await getTab();
+        const tabs = Object.values(await getTabs());
+        const shared = [tab, ...tabs].map(other => other && other.vaultKey).find(unlocked => unlocked && unlocked.generation === generation && unlocked.salt === salt);
+        if (!shared) return null;
+        // 保存到本标签页，其他标签页关闭后也能继续使用
+        tab.vaultKey = shared;
+        GM_saveTab(tab);
+        vaultKey = { key: await importVaultKey(fromBase64(shared.key)), salt, generation };
+        return vaultKey;
+    }
+
+    /**
+     * 弹出密码输入框，取消时返回 null
+     */
+    function askSecret(message) {
+        return new Promise(resolve => {
+            const form = document.createElement('form');
+            form.id = 'vps-renewal-passphrase';
+            form.innerHTML = `
+                <p></p>
+                <input type="password" autocomplete="off" required>
+                <button type="submit">确定</button>
+                <button type="button">取消</button>
+            `;
+            form.querySelector('p').textContent = message;
+            const close = value => {
+                form.remove();
+                resolve(value);
+            };
+            form.addEventListener('submit', event => {
+                event.preventDefault();
+                close(form.querySelector('input').value);
+            });
+            form.querySelector('button[type=button]').addEventListener('click', () => close(null));
+            document.body.appendChild(form);
+            form.querySelector('input').focus();
+        });
+    }
+
+    /**
+     * 从口令派生 256 位密钥
+     */
+    async function deriveKeyBits(passphrase, salt) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+        return crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' }, material, 256);
+    }
+
+    function importVaultKey(bits) {
+        return crypto.subtle.importKey('raw', bits, 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+
+    async function decryptVault(vault, key) {
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(vault.iv) }, key, fromBase64(vault.data));
+        return JSON.parse(new TextDecoder().decode(data));
+    }
+
+    /**
+     * 取得解锁凭据用的密钥 { key, salt }：优先使用本次浏览器会话中的密钥，否则要求输入口令
+     * create 为 true 时，没有已保存的凭据也会要求设置新口令
+     */
+    function getVaultKey({ create = false } = {}) {
+        unlocking = unlocking || unlockVault(create).finally(() => {
+            unlocking = null;
+        });
+        return unlocking;
+    }
+
+    async function unlockVault(create) {
+        const vault = GM_getValue('credentials', null);
+        if (!vault && !create) return null;
+        if (vault) {
+            const unlocked = await findUnlockedKey(vault.salt);
+            if (unlocked) return unlocked;
+        } else if (vaultKey && vaultKey.generation === vaultGeneration()) {
+            return vaultKey;
+        }
+        const salt = vault ? fromBase64(vault.salt) : crypto.getRandomValues(new Uint8Array(16));
+        const passphrase = await askSecret(vault ? '请输入口令以解锁保存的凭据：' : '请设置用于加密凭据的口令：');
+        if (!passphrase) return null;
+        const bits = await deriveKeyBits(passphrase, salt);
+        const key = await importVaultKey(bits);
+        if (vault) {
+            try {
+                await decryptVault(vault, key);
+            } catch (e) {
+                console.warn(`${LOG_PREFIX} 口令错误，无法解锁凭据。`);
+                updateStatusElement("口令错误，无法解锁凭据。");
+                return null;
+            }
+        }
+        const generation = vaultGeneration();
+        const tab = await getTab();
+        tab.vaultKey = { salt: toBase64(salt), key: toBase64(bits), generation };
+        GM_saveTab(tab);
+        vaultKey = { key, salt: toBase64(salt), generation };
+        return vaultKey;
+    }
+
+    /**
+     * 加密保存凭据，成功时返回 true
+     */
+    async function saveCredentials(credentials) {
+        const unlocked = await getVaultKey({ create: true });
+        if (!unlocked) return false;
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, unlocked.key, new TextEncoder().encode(JSON.stringify(credentials)));
+        GM_setValue('credentials', { version: 1, salt: unlocked.salt, iv: toBase64(iv), data: toBase64(data) });
+        return true;
+    }
+
+    /**
+     * 读取并解密凭据 { memberid, user_password }，没有凭据或未解锁时返回 null
+     */
+    async function loadCredentials() {
+        await migrateCredentials();
+        const vault = GM_getValue('credentials', null);
+        if (!vault) return null;
+        const unlocked = await getVaultKey();
+        return unlocked ? decryptVault(vault, unlocked.key) : null;
+    }
+
+    /**
+     * 把旧版本明文保存的凭据，以及登录时暂存在标签页会话中的凭据加密保存
+     */
+    async function migrateCredentials() {
+        // 之前的版本把解锁后的密钥写进了存储
+        GM_deleteValue('sessionKey');
+        const memberid = GM_getValue('memberid');
+        const user_password = GM_getValue('user_password');
+        if (memberid && user_password && await saveCredentials({ memberid, user_password })) {
+            GM_deleteValue('memberid');
+            GM_deleteValue('user_password');
+            console.log(`${LOG_PREFIX} 已将明文凭据迁移为加密保存。`);
+        }
+        const tab = await getTab();
+        if (tab.pendingCredentials && await saveCredentials(tab.pendingCredentials)) {
+            delete tab.pendingCredentials;
+            GM_saveTab(tab);
+            console.log(`${LOG_PREFIX} 已加密保存新的用户凭据。`);
+        }
+    }
+
+    /**
+     * 锁定：所有标签页中已解锁的密钥失效，下次需要重新输入口令
+     */
+    async function lockCredentials() {
+        GM_setValue('vaultGeneration', vaultGeneration() + 1);
+        vaultKey = null;
+        const tab = await getTab();
+        delete tab.vaultKey;
+        delete tab.pendingCredentials;
+        GM_saveTab(tab);
+    }
+
+    // 运行历史最多保留的条数
+    const HISTORY_LIMIT = 200;
+    // 验证码数据集最多保留的条数（每条包含一张 base64 图片）
+    const CAPTCHA_DATASET_LIMIT = 200;
+    // 超过该时间没有进展的运行视为已中断
+    const RUN_TIMEOUT = 30 * 60 * 1000;
+
+    /**
+     * 更新当前运行的历史记录（日期、到达的步骤、验证码结果、成功/失败）
+     * start 为 true 或上一次运行已结束时新建一条记录
+     */
+    function recordRun(patch, start = false) {
+        const history = GM_getValue('history', []);
+        let run = history[history.length - 1];
+        const isActive = run && run.result === 'running' && Date.now() - Date.parse(run.updated) < RUN_TIMEOUT;
+        if (start || !isActive) {
+            if (run && run.result === 'running') {
+                run.result = 'interrupted';
+            }
+            run = { date: new Date().toISOString(), stage: null, captcha: null, captchaAccepted: null, result: 'running', message: null };
+            history.push(run);
+        }
+        Object.assign(run, patch, { updated: new Date().toISOString() });
+        GM_setValue('history', history.slice(-HISTORY_LIMIT));
+        renderHistory();
+        if (run.result !== 'running') {
+            releaseRunLock();
+        }
+    }
+
+    // 定时检查：跨标签页的运行锁，持有者需在有效期内不断续期
+    const RUN_LOCK_TTL = 3 * 60 * 1000;
+    const DEFAULT_CHECK_INTERVAL_HOURS = 12;
+    let tabId = null;
+
+    async function initTabId() {
+        const tab = await getTab();
+        if (!tab.id) {
+            tab.id = Math.random().toString(36).slice(2);
+            GM_saveTab(tab);
+        }
+        tabId = tab.id;
+    }
+
+    /**
+     * 获取或续期运行锁，其他标签页持有未过期的锁时返回 false
+     */
+    async function acquireRunLock() {
+        const lock = GM_getValue('runLock', null);
+        if (lock && lock.owner !== tabId && lock.expires > Date.now()) {
+            return false;
+        }
+        GM_setValue('runLock', { owner: tabId, expires: Date.now() + RUN_LOCK_TTL });
+        // 存储没有原子操作，写入后稍等再确认没有被其他标签页覆盖
+        await new Promise(resolve => setTimeout(resolve, 100 + Math.random() * 200));
+        const confirmed = GM_getValue('runLock', null);
+        return !!confirmed && confirmed.owner === tabId;
+    }
+
+    function releaseRunLock() {
+        const lock = GM_getValue('runLock', null);
+        if (lock && lock.owner === tabId) {
+            GM_deleteValue('runLock');
+        }
+    }
+
+    /**
+     * 是否到了检查时间：从未检查过、距上次检查超过间隔，或进入续期窗口后当天还没检查过
+     */
+    function isCheckDue() {
+        if (!GM_getValue('autoRun', true)) return false;
+        const { lastCheck, expiry } = GM_getValue('schedule', {});
+        if (!lastCheck) return true;
+        const intervalHours = Number(GM_getValue('checkIntervalHours', DEFAULT_CHECK_INTERVAL_HOURS));
+        if (Date.now() - Date.parse(lastCheck) >= intervalHours * 3600000) return true;
+        const windowDays = Number(GM_getValue('renewWindowDays', DEFAULT_WINDOW_DAYS));
+        return !!expiry && daysUntil(expiry) <= windowDays && tokyoDate(0, Date.parse(lastCheck)) !== tokyoDate(0);
+    }
+
+    /**
+     * 页面上是否有修改过但还没有提交的表单（不含本脚本的设置面板）
+     */
+    function hasFormInProgress() {
+        return Array.from(document.querySelectorAll('input, textarea, select')).some(field => {
+            if (field.closest('#vps-renewal-panel, #vps-renewal-passphrase')) return false;
+            if (field.type === 'checkbox' || field.type === 'radio') return field.checked !== field.defaultChecked;
+            if (field.tagName === 'SELECT') return Array.from(field.options).some(option => option.selected !== option.defaultSelected);
+            return field.type !== 'hidden' && field.value !== field.defaultValue;
+        });
+    }
+
+    /**
+     * 到了检查时间且没有其他标签页在运行时，跳转到VPS管理主页开始续期流程
+     */
+    async function maybeStartRun() {
+        // 登录、续期申请和验证码页面，以及有未提交表单的页面上不打断正在进行的操作
+        const path = window.location.pathname;
+        if ([PATHS.login, PATHS.extendIndex, PATHS.extendConf, PATHS.extendDo].some(flowPath => path.includes(flowPath))) return;
+        if (hasFormInProgress()) return;
+        if (!isCheckDue() || !(await acquireRunLock())) return;
+        console.log(`${LOG_PREFIX} 到了检查时间，开始自动检查续期...`);
+        updateStatusElement("到了检查时间，正在自动检查续期...");
+        recordRun({ stage: 'scheduled' }, true);
+        location.href = location.origin + PATHS.dashboard;
+    }
+
+    /**
+     * 显示距下次需要续期（进入续期窗口）的倒计时
+     */
+    function renderCountdown() {
+        let el = document.getElementById('vps-renewal-countdown');
+        if (!el) {
+            el = document.createElement('div');
+            el.id = 'vps-renewal-countdown';
+            document.body.appendChild(el);
+        }
+        const { lastCheck, expiry } = GM_getValue('schedule', {});
+        el.title = lastCheck ? `上次检查：${new Date(lastCheck).toLocaleString()}` : '尚未检查';
+        if (!expiry) {
+            el.textContent = '尚未获取到期日';
+            return;
+        }
+        const windowDays = Number(GM_getValue('renewWindowDays', DEFAULT_WINDOW_DAYS));
+        const remaining = Date.parse(`${expiry}T00:00:00+09:00`) - windowDays * 86400000 - Date.now();
+        if (remaining <= 0) {
+            el.textContent = `已进入续期窗口（到期日 ${expiry}）`;
+            return;
+        }
+        const days = Math.floor(remaining / 86400000);
+        const hours = Math.floor(remaining % 86400000 / 3600000);
+        const minutes = Math.floor(remaining % 3600000 / 60000);
+        el.textContent = `距下次续期 ${days}天${hours}小时${minutes}分（到期日 ${expiry}）`;
+    }
+
+    function downloadFile(filename, content, type) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    /**
+     * 导出运行历史为 JSON 或 CSV
+     */
+    function exportHistory(format) {
+        const history = GM_getValue('history', []);
+        const filename = `vps-renewal-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+        if (format === 'json') {
+            downloadFile(filename, JSON.stringify(history, null, 2), 'application/json');
+            return;
+        }
+        const columns = ['date', 'stage', 'captcha', 'captchaAccepted', 'result', 'message'];
+        const cell = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+        const rows = history.map(run => columns.map(column => cell(run[column])).join(','));
+        downloadFile(filename, [columns.join(','), ...rows].join('\n'), 'text/csv');
+    }
+
+    function renderDataset() {
+        const el = document.getElementById('vps-renewal-dataset');
+        if (!el) return;
+        const attempts = GM_getValue('captchaAttempts', []);
+        const known = attempts.filter(attempt => typeof attempt.accepted === 'boolean');
+        const accepted = known.filter(attempt => attempt.accepted).length;
+        el.textContent = `已保存 ${attempts.length} 条（最多 ${CAPTCHA_DATASET_LIMIT} 条），` +
+            (known.length ? `识别准确率 ${(accepted / known.length * 100).toFixed(1)}%（${accepted}/${known.length}）` : '尚无提交结果');
+    }
+
+    function renderHistory() {
+        const tbody = document.querySelector('#vps-renewal-panel tbody');
+        if (!tbody) return;
+        tbody.replaceChildren(...GM_getValue('history', []).slice(-20).reverse().map(run => {
+            const tr = document.createElement('tr');
+            const captcha = run.captcha ? `${run.captcha}${run.captchaAccepted === null ? '' : run.captchaAccepted ? ' ✓' : ' ✗'}` : '';
+            for (const text of [new Date(run.date).toLocaleString(), run.stage, captcha, run.result]) {
+                const td = document.createElement('td');
+                td.textContent = text ?? '';
+                tr.appendChild(td);
+            }
+            tr.title = run.message || '';
+            return tr;
+        }));
+    }
+
+    async function renderCredentials() {
+        const el = document.getElementById('vps-renewal-credentials');
+        if (!el) return;
+        const vault = GM_getValue('credentials', null);
+        if (GM_getValue('memberid')) {
+            el.textContent = '明文保存（下次登录时加密）';
+        } else if (!vault) {
+            el.textContent = '未保存凭据';
+        } else {
+            el.textContent = await findUnlockedKey(vault.salt) ? '已加密保存（已解锁）' : '已加密保存（已锁定）';
+        }
+    }
+
+    /**
+     * 设置与历史面板：续期窗口、识别服务、自动提交、凭据管理和运行历史
+     */
+    function createSettingsPanel() {
+        const toggle = document.createElement('button');
+        toggle.id = 'vps-renewal-settings-toggle';
+        toggle.type = 'button';
+        toggle.title = 'VPS续期脚本设置';
+        toggle.textContent = '⚙';
+
+        const panel = document.createElement('div');
+        panel.id = 'vps-renewal-panel';
+        panel.hidden = true;
+        panel.innerHTML = `
+            <fieldset>
+                <legend>续期设置</legend>
+                <label>续期窗口（剩余天数小于等于该值时续期）
+                    <input type="number" min="0" name="renewWindowDays">
+                </label>
+                <label>验证码识别服务（留空使用公共服务）
+                    <input type="url" name="captchaEndpoint" placeholder="https://example.com/captcha" size="40">
+                </label>
+                <label>验证码最多尝试次数
+                    <input type="number" min="1" name="captchaMaxAttempts">
+                </label>
+                <label><input type="checkbox" name="autoSubmit"> 自动提交续期表单</label>
+                <label><input type="checkbox" name="autoRun"> 面板标签页打开时自动定时检查</label>
+                <label>检查间隔（小时）
+                    <input type="number" min="1" name="checkIntervalHours">
+                </label>
+                <button type="button" data-action="save">保存设置</button>
+            </fieldset>
+            <fieldset>
+                <legend>登录凭据</legend>
+                <p id="vps-renewal-credentials"></p>
+                <button type="button" data-action="change-credentials">修改凭据</button>
+                <button type="button" data-action="lock-credentials">锁定</button>
+                <button type="button" data-action="clear-credentials">清除凭据</button>
+            </fieldset>
+            <fieldset>
+                <legend>运行历史（最近20条）</legend>
+                <table>
+                    <thead><tr><th>日期</th><th>步骤</th><th>验证码</th><th>结果</th></tr></thead>
+                    <tbody></tbody>
+                </table>
+                <button type="button" data-action="export-json">导出 JSON</button>
+                <button type="button" data-action="export-csv">导出 CSV</button>
+                <button type="button" data-action="clear-history">清空历史</button>
+            </fieldset>
+            <fieldset>
+                <legend>验证码数据集</legend>
+                <label><input type="checkbox" name="captchaDataset"> 保存验证码图片和识别结果</label>
+                <p id="vps-renewal-dataset"></p>
+                <button type="button" data-action="export-captcha">导出 JSON</button>
+                <button type="button" data-action="clear-captcha">清空</button>
+            </fieldset>
+        `;
+
+        const input = name => panel.querySelector(`[name=${name}]`);
+        function loadSettings() {
+            input('renewWindowDays').value = GM_getValue('renewWindowDays', DEFAULT_WINDOW_DAYS);
+            input('captchaEndpoint').value = GM_getValue('captchaEndpoint', '');
+            input('captchaMaxAttempts').value = GM_getValue('captchaMaxAttempts', 3);
+            input('autoSubmit').checked = GM_getValue('autoSubmit', true);
+            input('autoRun').checked = GM_getValue('autoRun', true);
+            input('checkIntervalHours').value = GM_getValue('checkIntervalHours', DEFAULT_CHECK_INTERVAL_HOURS);
+            input('captchaDataset').checked = GM_getValue('captchaDataset', true);
+            renderDataset();
+            renderCredentials();
+            renderHistory();
+        }
+
+        const actions = {
+            'save'() {
+                GM_setValue('renewWindowDays', Number(input('renewWindowDays').value) || 0);
+                GM_setValue('captchaEndpoint', input('captchaEndpoint').value.trim());
+                GM_setValue('captchaMaxAttempts', Number(input('captchaMaxAttempts').value) || 1);
+                GM_setValue('autoSubmit', input('autoSubmit').checked);
+                GM_setValue('autoRun', input('autoRun').checked);
+                GM_setValue('checkIntervalHours', Number(input('checkIntervalHours').value) || DEFAULT_CHECK_INTERVAL_HOURS);
+                GM_setValue('captchaDataset', input('captchaDataset').checked);
+                renderCountdown();
+                updateStatusElement("设置已保存。");
+                setTimeout(removeStatusElement, 2000);
+            },
+            async 'change-credentials'() {
+                const memberid = prompt('XServerアカウントID / メールアドレス');
+                if (!memberid) return;
+                const user_password = await askSecret('パスワード：');
+                if (!user_password) return;
+                if (await saveCredentials({ memberid, user_password })) {
+                    updateStatusElement("凭据已加密保存。");
+                    setTimeout(removeStatusElement, 2000);
+                }
+                renderCredentials();
+            },
+            async 'lock-credentials'() {
+                await lockCredentials();
+                renderCredentials();
+            },
+            async 'clear-credentials'() {
+                if (!confirm('确定要清除保存的凭据吗？')) return;
+                GM_deleteValue('credentials');
+                GM_deleteValue('memberid');
+                GM_deleteValue('user_password');
+                await lockCredentials();
+                renderCredentials();
+            },
+            'export-json': () => exportHistory('json'),
+            'export-csv': () => exportHistory('csv'),
+            // 导出的文件可以用 node cli.mjs captcha-report 统计准确率
+            'export-captcha'() {
+                const filename = `vps-renewal-captcha-${new Date().toISOString().slice(0, 10)}.json`;
+                downloadFile(filename, JSON.stringify(GM_getValue('captchaAttempts', []), null, 2), 'application/json');
+            },
+            'clear-captcha'() {
+                if (!confirm('确定要清空验证码数据集吗？')) return;
+                GM_setValue('captchaAttempts', []);
+                renderDataset();
+            },
+            'clear-history'() {
+                if (!confirm('确定要清空运行历史吗？')) return;
+                GM_setValue('history', []);
+                renderHistory();
+            },
+        };
+
+        panel.addEventListener('click', event => {
+            const action = event.target.dataset && event.target.dataset.action;
+            if (action && actions[action]) {
+                actions[action]();
+            }
+        });
+        toggle.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            if (!panel.hidden) {
+                loadSettings();
+            }
+        });
+
+        document.body.append(panel, toggle);
+    }
+
+    /**
+     * 其他标签页正在运行续期流程时，本页面不执行自动操作
+     */
+    async function ensureRunLock() {
+        if (await acquireRunLock()) return true;
+        console.log(`${LOG_PREFIX} 另一个标签页正在执行续期流程，本页面不执行自动操作。`);
+        updateStatusElement("另一个标签页正在执行续期流程。");
+        return false;
+    }
+
     /**
      * 登录页面逻辑：自动填充并保存用户凭据
      */
     async function handleLogin() {
         console.log(`${LOG_PREFIX} 当前在登录页面。`);
+        if (!(await ensureRunLock())) return;
         updateStatusElement("正在处理登录...");
+        recordRun({ stage: 'login' });
 
-        const memberid = GM_getValue('memberid');
-        const user_password = GM_getValue('user_password');
+        // 密码错误、账号锁定、维护中或需要认证码时不自动登录，也不要求输入口令
+        // 还没有提交过的登录页面会被判断为 LOGIN_UNKNOWN
+        const loginResult = classifyLogin({
+            path: window.location.pathname,
+            title: document.title,
+            errorText: queryAnchor('errorMessage')?.innerText ?? '',
+            hasCodeInput: Boolean(queryAnchor('verificationCode')),
+        });
+        if (loginResult.code === LOGIN_CODES.verification) {
+            console.log(`${LOG_PREFIX} 需要输入认证码，等待用户手动操作。`);
+            updateStatusElement("需要输入邮件中的认证码，请手动完成登录。");
+            recordRun({ stage: 'verification', message: loginResult.code });
+        } else if (loginResult.code !== LOGIN_CODES.unknown) {
+            console.warn(`${LOG_PREFIX} 登录失败 ${loginResult.code}: ${loginResult.message}`);
+            updateStatusElement(`登录失败 (${loginResult.code})：${loginResult.message}`);
+            recordRun({ result: 'failure', message: `${loginResult.code}: ${loginResult.message}` });
+        }
+        const credentials = loginResult.code === LOGIN_CODES.unknown ? await loadCredentials() : null;
+        const { memberid, user_password } = credentials || {};
 
         // 判断是否可以进行自动登录（存在保存的凭据并且没有错误）
-        if (memberid && user_password && !document.querySelector('.errorMessage')) {
+        if (memberid && user_password) {
             console.log(`${LOG_PREFIX} 发现已保存的凭据，正在尝试自动登录...`);
             try {
                 // 确保表单元素存在再进行赋值
@@ -165,19 +807,21 @@
             } catch (e) {
                 console.error(`${LOG_PREFIX} 自动登录失败: `, e);
                 updateStatusElement("自动登录失败，请手动登录。");
+                recordRun({ result: 'failure', message: String(e) });
             }
         } else {
             console.log(`${LOG_PREFIX} 未发现凭据或页面有错误信息，等待用户手动操作。`);
-            // 监听用户提交登录表单以保存数据
+            // 监听用户提交登录表单以保存数据：提交时页面会跳转，先暂存在标签页会话中，下一个页面再加密保存
+            const tab = await getTab();
             await waitForjQuery();
             if (typeof $ !== 'undefined') {
                 $('#login_area').on('submit', function () {
                     try {
                         // 防止重复保存
                         if (unsafeWindow.memberid && unsafeWindow.user_password) {
-                            GM_setValue('memberid', unsafeWindow.memberid.value);
-                            GM_setValue('user_password', unsafeWindow.user_password.value);
-                            console.log(`${LOG_PREFIX} 已保存新的用户凭据。`);
+                            tab.pendingCredentials = { memberid: unsafeWindow.memberid.value, user_password: unsafeWindow.user_password.value };
+                            GM_saveTab(tab);
+                            console.log(`${LOG_PREFIX} 已暂存新的用户凭据。`);
                         }
                     } catch (e) {
                         console.error(`${LOG_PREFIX} 保存凭据时出错:`, e);
@@ -190,32 +834,53 @@
     /**
      * VPS管理主页逻辑：检查到期时间和跳转
      */
-    function handleVPSDashboard() {
+    async function handleVPSDashboard() {
         console.log(`${LOG_PREFIX} 当前在VPS管理主页。`);
+        if (!(await ensureRunLock())) return;
+        await migrateCredentials();
         updateStatusElement("正在检查续期状态...");
+        recordRun({ stage: 'dashboard' });
+        const schedule = GM_getValue('schedule', {});
+        schedule.lastCheck = new Date().toISOString();
+        GM_setValue('schedule', schedule);
 
         try {
-            // 计算明天的日期，格式为 yyyy-mm-dd (瑞典时区格式更稳定)
-            const tomorrow = new Date(Date.now() + 86400000).toLocaleDateString('sv', { timeZone: 'Asia/Tokyo' });
-            const row = document.querySelector('tr:has(.freeServerIco)');
+            // 剩余天数小于等于续期窗口时续期
+            const windowDays = Number(GM_getValue('renewWindowDays', DEFAULT_WINDOW_DAYS));
+            const row = queryAnchor('freeServerRow');
 
             if (!row) {
                 console.log(`${LOG_PREFIX} 未找到免费VPS条目。`);
                 updateStatusElement("未找到免费VPS。");
+                recordRun({ result: 'skipped', message: '未找到免费VPS' });
                 return;
             }
 
-            const expireSpan = row.querySelector('.contract__term');
-            const expireDate = expireSpan ? expireSpan.textContent.trim() : null;
+            const expireSpan = queryAnchor('expiry', row);
+            const { state, expiry, daysLeft, warning } = renewalStatus(expireSpan ? expireSpan.textContent : null, { windowDays });
 
-            console.log(`${LOG_PREFIX} 页面上的到期日: ${expireDate || '未找到'}`);
-            console.log(`${LOG_PREFIX} 明天的日期: ${tomorrow}`);
+            console.log(`${LOG_PREFIX} 页面上的到期日: ${expiry || '未找到'}，剩余天数: ${daysLeft}，续期窗口: ${windowDays}天`);
+            if (expiry) {
+                GM_setValue('schedule', { ...schedule, expiry });
+                renderCountdown();
+            }
+
+            if (state === 'unparseable') {
+                console.warn(`${LOG_PREFIX} 无法解析到期日，可能页面结构变化: ${warning}`);
+                updateStatusElement("警告：无法解析到期日，请手动确认续期状态。");
+                recordRun({ result: 'failure', message: warning });
+                return;
+            }
+            if (state === 'expired') {
+                // 已过期时仍尝试续期，并提示用户
+                console.warn(`${LOG_PREFIX} 警告：VPS已于 ${expiry} 过期，仍尝试续期。`);
+            }
 
-            if (expireDate === tomorrow) {
-                console.log(`${LOG_PREFIX} 条件满足：到期日为明天。正在跳转到续期页面...`);
-                const detailLink = row.querySelector('a[href^="/xapanel/xvps/server/detail?id="]');
+            if (state === 'due' || state === 'expired') {
+                console.log(`${LOG_PREFIX} 条件满足：剩余${daysLeft}天。正在跳转到续期页面...`);
+                const detailLink = queryAnchor('detailLink', row);
                 if (detailLink && detailLink.href) {
-                    updateStatusElement("检测到即将过期，正在续期...");
+                    updateStatusElement(state === 'expired' ? "警告：VPS已过期，正在尝试续期..." : "检测到即将过期，正在续期...");
                     setTimeout(() => {
                         location.href = detailLink.href.replace('detail?id', 'freevps/extend/index?id_vps');
                     }, 1000);
@@ -224,26 +889,30 @@
                 }
             } else {
                 console.log(`${LOG_PREFIX} 条件不满足：无需执行续期操作。`);
-                updateStatusElement("当前VPS无需续期。");
+                updateStatusElement(`当前VPS无需续期（剩余${daysLeft}天）。`);
+                recordRun({ result: 'skipped', message: `到期日 ${expiry}，剩余${daysLeft}天` });
                 setTimeout(removeStatusElement, 3000);
             }
         } catch (e) {
             console.error(`${LOG_PREFIX} 在VPS管理主页处理出现错误:`, e);
             updateStatusElement("检查续期状态出错，请刷新页面重试。");
+            recordRun({ result: 'failure', message: String(e) });
         }
     }
 
     /**
      * 续期申请页面逻辑：自动点击确认按钮
      */
-    function handleRenewalPage() {
+    async function handleRenewalPage() {
         console.log(`${LOG_PREFIX} 当前在续期申请页面。`);
+        if (!(await ensureRunLock())) return;
         updateStatusElement("正在准备续期申请...");
+        recordRun({ stage: 'extend' });
 
         try {
             // 延迟一下确保页面内容稳定
             setTimeout(() => {
-                const extendButton = document.querySelector('[formaction="/xapanel/xvps/server/freevps/extend/conf"]');
+                const extendButton = queryAnchor('extendConfButton');
                 if (extendButton) {
                     console.log(`${LOG_PREFIX} 找到续期按钮，正在点击...`);
                     updateStatusElement("正在确认续期协议...");
@@ -257,71 +926,102 @@
         } catch (e) {
             console.error(`${LOG_PREFIX} 续期确认按钮处理异常:`, e);
             updateStatusElement("续期申请页面交互失败。");
+            recordRun({ result: 'failure', message: String(e) });
         }
     }
 
     /**
-     * 验证码页面逻辑：识别并提交验证码
+     * 记录验证码尝试（图片、识别结果、是否被接受），设置中关闭数据集时不记录
+     */
+    function recordCaptchaAttempt(entry) {
+        if (!GM_getValue('captchaDataset', true)) return;
+        const attempts = GM_getValue('captchaAttempts', []);
+        attempts.push(entry);
+        GM_setValue('captchaAttempts', attempts.slice(-CAPTCHA_DATASET_LIMIT));
+    }
+
+    function markLastCaptchaAttempt(accepted) {
+        const attempts = GM_getValue('captchaAttempts', []);
+        const last = attempts[attempts.length - 1];
+        if (last && last.accepted === null) {
+            last.accepted = accepted;
+            GM_setValue('captchaAttempts', attempts);
+        }
+    }
+
+    /**
+     * 验证码页面逻辑：识别并提交验证码，验证码错误时重新识别
      */
     async function handleCaptchaPage() {
         console.log(`${LOG_PREFIX} 当前在验证码页面，开始处理验证码...`);
+        if (!(await ensureRunLock())) return;
         updateStatusElement("正在识别并输入验证码...");
 
+        // 当前尝试次数和识别结果，提交时记录下来以便判断是否被拒绝
+        let attempt = 1;
+        let code = null;
+
         try {
             // 等待DOM加载完成
             await waitForDOMReady();
 
             // 查找验证码图片（确保是base64编码）
-            const img = document.querySelector('img[src^="data:image"]') || document.querySelector('img[src^="data:"]');
+            const img = document.querySelector('img[src^="data:image"]') || queryAnchor('captchaImage');
+
+            // 上一次提交后又回到了带验证码的页面，说明验证码错误
+            const pending = GM_getValue('pendingCaptcha', null);
+            GM_setValue('pendingCaptcha', null);
+            const isRetry = pending && Date.now() - pending.time < 10 * 60 * 1000 && window.location.pathname.includes(PATHS.extendDo);
+            if (isRetry) {
+                markLastCaptchaAttempt(!img);
+                recordRun({ captchaAccepted: !img });
+            }
+
             if (!img || !img.src) {
+                if (isRetry) {
+                    console.log(`${LOG_PREFIX} 验证码已通过。`);
+                    updateStatusElement("续期表单已提交。");
+                    recordRun({ stage: 'done', result: 'success' });
+                    return;
+                }
                 throw new Error('未找到验证码图片');
             }
 
-            console.log(`${LOG_PREFIX} 已找到验证码图片，正在发送到API进行识别...`);
-            updateStatusElement("正在识别验证码，请稍候...");
-
-            // 调用外部API识别验证码
-            let codeResponse;
-            const maxRetries = 3;
-            let retryCount = 0;
-
-            while (retryCount < maxRetries) {
-                try {
-                    const response = await fetch('https://captcha-120546510085.asia-northeast1.run.app', {
-                        method: 'POST',
-                        body: img.src,
-                        headers: {
-                            'Content-Type': 'text/plain'
-                        }
-                    });
-
-                    if (!response.ok) {
-                        throw new Error(`API请求失败: ${response.status}`);
-                    }
-
-                    codeResponse = await response.text();
-                    if (codeResponse && codeResponse.length >= 4) break;
-
-                    throw new Error('API返回无效验证码');
-                } catch (err) {
-                    retryCount++;
-                    if (retryCount >= maxRetries) {
-                        throw err;
-                    }
-                    console.log(`${LOG_PREFIX} 验证码识别失败，正在进行第${retryCount}次重试...`);
+            attempt = isRetry ? pending.attempt + 1 : 1;
+            const maxAttempts = Number(GM_getValue('captchaMaxAttempts', 3));
+            if (isRetry) {
+                console.warn(`${LOG_PREFIX} 验证码 ${pending.code} 被拒绝（第${pending.attempt}次）。`);
+                if (attempt > maxAttempts) {
+                    updateStatusElement(`验证码连续${maxAttempts}次错误，请手动输入。`);
+                    recordRun({ result: 'failure', message: `验证码连续${maxAttempts}次错误` });
+                    return;
                 }
             }
 
-            const code = codeResponse.trim();
-            if (!code || code.length < 4) {
-                throw new Error('未接收到有效验证码或验证码太短');
+            console.log(`${LOG_PREFIX} 已找到验证码图片，正在发送到API进行识别...`);
+            updateStatusElement("正在识别验证码，请稍候...");
+
+            // 调用识别服务（失败时自动重试）：优先使用自建服务 captchaEndpoint，再使用公共服务
+            const onRetry = (retry) => console.log(`${LOG_PREFIX} 验证码识别失败，正在进行第${retry}次重试...`);
+            const solvers = [createHttpSolver(undefined, { onRetry })];
+            const captchaEndpoint = GM_getValue('captchaEndpoint');
+            if (captchaEndpoint) {
+                solvers.unshift(createHttpSolver(captchaEndpoint, { name: 'self-hosted', onRetry }));
             }
+            const result = await solveCaptcha(img.src, {
+                solvers,
+                onError: (name, e) => console.warn(`${LOG_PREFIX} 识别服务 ${name} 失败:`, e)
+            });
+            const { confidence, solver } = result;
+            code = result.code;
 
-            console.log(`${LOG_PREFIX} API返回验证码: ${code}`);
-            updateStatusElement("验证码识别完成，准备提交表单...");
+            console.log(`${LOG_PREFIX} ${solver} 返回验证码: ${code}（置信度 ${confidence}，第${attempt}/${maxAttempts}次尝试）`);
+            updateStatusElement(`验证码识别完成（第${attempt}次），准备提交表单...`);
+            recordCaptchaAttempt({ time: new Date().toISOString(), attempt, solver, confidence, code, image: img.src, accepted: null });
+            recordRun({ stage: 'captcha', captcha: code, captchaAccepted: null });
 
             // 将验证码填入输入框
-            const input = document.querySelector('[placeholder*="上の画像"]');
+            const input = queryAnchor('captchaInput');
             if (!input) {
                 throw new Error('未找到验证码输入框');
             }
@@ -332,7 +1032,7 @@
             updateStatusElement("已完成验证码填写，正在处理人机验证...");
 
             // 处理 Cloudflare Turnstile 人机验证
-            const cfContainer = document.querySelector('.cf-turnstile');
+            const cfContainer = queryAnchor('turnstile');
             if (!cfContainer) {
                 console.warn(`${LOG_PREFIX} 未检测到Cloudflare组件，可能页面结构变化。`);
                 submitForm();
@@ -378,12 +1078,23 @@
         } catch (error) {
             console.error(`${LOG_PREFIX} 处理验证码时发生错误:`, error);
             updateStatusElement("验证码处理异常，请刷新页面重试。");
+            recordRun({ result: 'failure', message: String(error) });
         }
 
         // 提交表单逻辑
         function submitForm() {
+            if (!GM_getValue('autoSubmit', true)) {
+                // 关闭自动提交时由用户手动提交，提交时仍记录本次尝试
+                updateStatusElement("验证码已填写，请确认后手动提交。");
+                const form = queryAnchor('captchaInput').form;
+                if (form) {
+                    form.addEventListener('submit', () => GM_setValue('pendingCaptcha', { attempt, code, time: Date.now() }));
+                }
+                return;
+            }
             updateStatusElement("所有验证已完成，准备提交...");
             setTimeout(() => {
+                GM_setValue('pendingCaptcha', { attempt, code, time: Date.now() });
                 if (typeof unsafeWindow.submit_button !== 'undefined' &&
                     unsafeWindow.submit_button &&
                     typeof unsafeWindow.submit_button.click === 'function') {
@@ -410,24 +1121,34 @@
 
         const path = window.location.pathname;
 
-        if (path.startsWith('/xapanel/login/xvps')) {
+        if (path.startsWith(PATHS.login)) {
             handleLogin();
-        } else if (path.includes('/xapanel/xvps/index')) {
+        } else if (path.includes(PATHS.dashboard)) {
             handleVPSDashboard();
-        } else if (path.includes('/xapanel/xvps/server/freevps/extend/index')) {
+        } else if (path.includes(PATHS.extendIndex)) {
             handleRenewalPage();
         } else if (
-            path.includes('/xapanel/xvps/server/freevps/extend/conf') ||
-            path.includes('/xapanel/xvps/server/freevps/extend/do')
+            path.includes(PATHS.extendConf) ||
+            path.includes(PATHS.extendDo)
         ) {
             handleCaptchaPage();
         } else {
-            console.log(`${LOG_PREFIX} 当前不在已支持的路径中，脚本不会执行任何操作。`);
+            console.log(`${LOG_PREFIX} 当前不在续期流程的页面中，检查是否到了定时检查时间。`);
             isRunning = false;
+            maybeStartRun();
         }
     }
 
     // 入口调用
-    main();
+    waitForDOMReady().then(() => {
+        createSettingsPanel();
+        renderCountdown();
+        setInterval(renderCountdown, 30000);
+    });
+    initTabId().then(() => {
+        main();
+        // 标签页一直打开时，定期检查是否到了检查时间
+        setInterval(maybeStartRun, 60000);
+    });
 
 })();